@@ -10,13 +10,42 @@
 'use strict';
 
 import * as date_utilities from '../utilities/date_utilities.js';
+import * as parsing_utilities from '../utilities/parsing_utilities.js';
+import * as storage_utilities from '../utilities/storage_utilities.js';
+
+// The URL of the script in which the toolkit is loaded (i.e. its bundle), used to start the Web Workers.
+const toolkitScriptURL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+// The number of collections created, used to identify them (e.g. in the Web Workers).
+let collectionsCounter = 0;
+
+// The version of the snapshots created by serialize, increased when their structure changes.
+const snapshotVersion = 1;
 
 /**
  * A class representing a collection of variables grouped in records.
+ *
+ * @param {[Object]} dataModel The list of variables (see the README for their properties).
+ * @param {Object} options (Optional) The options of the collection:
+ * - 'historySize' (default: 100), the maximum number of changes that can be undone (0 disables the history);
+ * - 'validation' (default: 'none'), how the incoming records are checked against the data model: 'none', 'report'
+ * (problems are reported, records are loaded anyway), 'strict' (invalid records are reported and rejected);
+ * - 'nulls' (default: 'last'), where the missing values are placed when sorting: 'first', 'last';
+ * - 'flatten', the field path of a nested array to be exploded in one record per element (see flattenRecords);
+ * - 'locale', the locale (e.g. 'fr' or ['de-CH', 'de']) used to sort the text with Intl.Collator and to filter it
+ * ignoring case and accents (e.g. "jose" matches "José"). Without a locale, the text is sorted by code unit and
+ * filtered ignoring case only;
+ * - 'worker' (default: false), the Web Worker used by the asynchronous methods (e.g. processRecordsAsync): true (the
+ * toolkit's bundle is loaded as a worker), the URL of the script to be loaded as a worker, or a Worker instance (e.g. a
+ * module worker loading data_worker.js). Without a worker, the asynchronous methods run in the main thread.
  */
 export class DataCollection {
-  constructor(dataModel) {
+  constructor(dataModel, options = {}) {
     if (dataModel) {
+      collectionsCounter += 1;
+
+      this.id = 'data-collection-' + collectionsCounter;
+
       this.variables = {};
 
       this.variables.list = dataModel;
@@ -31,60 +60,229 @@ export class DataCollection {
       this.variables.maps.index = new Map();
       this.variables.maps.reverseIndex = new Map();
       this.variables.maps.types = new Map();
+      this.variables.maps.computed = new Map();
+      this.variables.maps.nulls = new Map();
+      this.variables.maps.collation = new Map();
 
       // Declare the Maps used to store processed data.
       this.variables.maps.sorting = new Map();
+      this.variables.maps.sortingPriority = new Map();
       this.variables.maps.filtering = new Map();
       this.variables.maps.defaultOrder = new Map();
 
+      // The variable whose data points uniquely identify the records (if any).
+      this.variables.primaryKey = null;
+
       // The main
       this.dataSet = [];
 
+      // The index of the records by primary key, used to address records regardless of their position.
+      this.keys = new Map();
+
       // The temporary data set used to store the processed records, e.g. after filtering and/or sorting.
       this.temporaryDataSet = [];
+
+      // The callbacks subscribed to the changes of the collection, grouped by event type.
+      this.observers = new Map();
+
+      // The log of the changes that can be undone/redone. The size is the maximum number of undoable entries.
+      this.history = {
+        size: options && Number.isInteger(options.historySize) ? options.historySize : 100,
+        undoStack: [],
+        redoStack: [],
+        transaction: null,
+        replaying: false,
+      };
+
+      // The validation of the incoming records, and the report of the last validation.
+      this.validation =
+        options && ['none', 'report', 'strict'].includes(options.validation) ? options.validation : 'none';
+
+      this.validationReport = null;
+
+      // The typed columns: for each variable, the data points pre-parsed as numbers or timestamps (along with their
+      // lower case text), cached by record so that sorting and filtering don't parse them over and over again.
+      this.typedColumns = new Map();
+
+      // The inverted index of the full-text search: for each token, the records containing it (and how many times),
+      // and for each record, its tokens. It's built when first needed, and then updated as the records change.
+      this.searchIndex = {
+        variableUIDs: null,
+        variableIndexes: [],
+        built: false,
+        tokens: new Map(),
+        records: new Map(),
+        sortedTokens: null,
+      };
+
+      // The query of the full-text search applied when the records are processed (see setSearch).
+      this.searchQuery = '';
+
+      // Where the missing values are placed when sorting, unless the variable declares otherwise.
+      this.nulls = options && ['first', 'last'].includes(options.nulls) ? options.nulls : 'last';
+
+      // The field path of the nested array whose elements become separate records (if any).
+      this.flatten = options && options.flatten ? options.flatten : null;
+
+      // The locale used to sort and filter the text, unless the variable declares otherwise.
+      this.locale = options && options.locale ? this.#parseLocale(options.locale) : null;
+
+      // The revision of the records and variables, increased every time they change (e.g. to know if the copy held by
+      // the Web Worker is outdated).
+      this.revision = 0;
+
+      // The Web Worker used to process the records in the background, and the requests it is processing.
+      this.worker = {
+        source: options && options.worker ? options.worker : null,
+        instance: null,
+        requests: new Map(),
+        requestsCounter: 0,
+        revision: null,
+      };
     } else {
       throw 'Data Collection Error: data model NOT found or invalid.';
     }
 
     // CONSTANTS
 
+    // The characters separating the tokens of a text, i.e. white spaces and ASCII punctuation (see tokenize).
+    this.tokenSeparatorRegExp = /[\s!-\/:-@\[-`{-~]+/;
+
     // If it's a string representing a date in the EU format, convert to numeric unix time and order.
     this.euDateTimeRegExp = /\d{1,2}\/\d{1,2}\/\d{4}\s{0,1}:{0,1}\d{0,2}:{0,1}\d{0,2}:{0,1}\d{0,2}/;
+
+    // The operators that can be used in the filtering map.
+    this.filterOperators = [
+      'includes',
+      'equals',
+      'not_equals',
+      'starts_with',
+      'regex',
+      'greater_than',
+      'less_than',
+      'between',
+      'before',
+      'after',
+      'empty',
+      'not_empty',
+    ];
+
+    // The types of the events emitted when the collection changes.
+    this.eventTypes = [
+      'records_added',
+      'records_removed',
+      'records_edited',
+      'records_processed',
+      'variable_added',
+      'variable_removed',
+      'sorting_changed',
+      'filtering_changed',
+      'history_changed',
+      'records_validated',
+      'snapshot_restored',
+    ];
   }
 
-  // PROCESSING
+  // EVENTS
 
   /**
-   * Process the data point according to the data model, and ensure that no data point is left undefined/empty.
+   * Register a callback to be executed when the collection changes. The callback receives an event object with the
+   * 'type' of the change, the 'collection' that emitted it and a 'detail' object describing the change.
    *
-   * @param {string} dataPoint
+   * @param {string || [string]} eventTypes One or more event types (see eventTypes), or '*' to receive all the events.
+   * @param {function} callback The function to be executed.
+   * @returns A function that, once executed, removes the subscription.
    */
-  #parseDataPoint(dataPoint = '', variableType = 'text') {
-    // Stringify boolean values
-    dataPoint = typeof dataPoint === 'boolean' ? dataPoint.toString() : dataPoint;
+  subscribe(eventTypes, callback) {
+    eventTypes = typeof eventTypes === 'string' ? [eventTypes] : eventTypes;
+
+    if (typeof callback !== 'function') {
+      throw 'Data Collection Error: the observer callback is NOT a function.';
+    }
 
-    if (dataPoint) {
-      if (variableType === 'eu_date') {
-        dataPoint = String(dataPoint).match(this.euDateTimeRegExp)
-          ? dataPoint
-          : date_utilities.convertIsoDateInEuDate(dataPoint, 'no-space', true);
+    for (const eventType of eventTypes) {
+      if (eventType !== '*' && !this.eventTypes.includes(eventType)) {
+        throw 'Data Collection Error: event type "' + eventType + '" NOT supported.';
+      }
+
+      if (!this.observers.has(eventType)) {
+        this.observers.set(eventType, new Set());
       }
-    } else {
-      switch (variableType) {
-        case 'number':
-          dataPoint = 0;
 
-          break;
+      this.observers.get(eventType).add(callback);
+    }
 
-        case 'boolean':
-          dataPoint = 'false';
+    return () => this.unsubscribe(eventTypes, callback);
+  }
 
-          break;
+  /**
+   * Remove a callback previously registered with subscribe.
+   *
+   * @param {string || [string]} eventTypes One or more event types, or '*'.
+   * @param {function} callback The function to be removed.
+   */
+  unsubscribe(eventTypes, callback) {
+    eventTypes = typeof eventTypes === 'string' ? [eventTypes] : eventTypes;
 
-        default:
-          dataPoint = '-';
+    for (const eventType of eventTypes) {
+      if (this.observers.has(eventType)) {
+        this.observers.get(eventType).delete(callback);
       }
     }
+  }
+
+  /**
+   * Notify the observers of a change. The errors thrown by the observers are not caught: they reach the caller.
+   *
+   * @param {string} eventType The type of the change.
+   * @param {Object} detail The information about the change.
+   */
+  #emit(eventType, detail = {}) {
+    const event = { type: eventType, collection: this, detail: detail };
+
+    if (
+      ['records_added', 'records_removed', 'records_edited', 'variable_added', 'variable_removed'].includes(eventType)
+    ) {
+      this.revision += 1;
+    }
+
+    // The search index is kept in sync before the observers are notified, as they might search the records.
+    if (this.searchIndex.built) {
+      this.#updateSearchIndex(eventType, detail);
+    }
+
+    const callbacks = [
+      ...(this.observers.has(eventType) ? this.observers.get(eventType) : []),
+      ...(this.observers.has('*') ? this.observers.get('*') : []),
+    ];
+
+    for (const callback of callbacks) {
+      callback(event);
+    }
+  }
+
+  // PROCESSING
+
+  /**
+   * Process the data point according to the data model. Missing values (undefined, null or empty strings) are stored
+   * as null, so that they can be told apart from zeros, empty texts and false values.
+   *
+   * @param {string} dataPoint
+   * @param {string} variableType Default: 'text'. The type of the variable the data point refers to.
+   */
+  #parseDataPoint(dataPoint, variableType = 'text') {
+    if (dataPoint === undefined || dataPoint === null || dataPoint === '') {
+      return null;
+    }
+
+    // Stringify boolean values
+    dataPoint = typeof dataPoint === 'boolean' ? dataPoint.toString() : dataPoint;
+
+    if (variableType === 'eu_date') {
+      dataPoint = String(dataPoint).match(this.euDateTimeRegExp)
+        ? dataPoint
+        : date_utilities.convertIsoDateInEuDate(dataPoint, 'no-space', true);
+    }
 
     return dataPoint;
   }
@@ -104,9 +302,16 @@ export class DataCollection {
         this.variables.maps.uids.forEach((variable, variableUID) => {
           let variableType = this.variables.maps.types.get(variableUID);
 
-          dataField.push(this.#parseDataPoint(dataPoint[variable], variableType));
+          // Computed variables are not taken from the raw data, but calculated once the record is parsed.
+          dataField.push(
+            this.variables.maps.computed.has(variableUID)
+              ? null
+              : this.#parseDataPoint(parsing_utilities.getValueByPath(dataPoint, variable), variableType)
+          );
         });
 
+        this.#computeDataPoints(dataField);
+
         records.push(dataField);
       }
     }
@@ -114,24 +319,285 @@ export class DataCollection {
     return records;
   }
 
+  /**
+   * Calculate the data points of the computed variables of a record, in the order they are declared in the data model.
+   * Each compute function receives an object with the data points of the record, keyed by source field, including
+   * those of the computed variables that precede it.
+   *
+   * @param {[string]} record The array representing the record to be updated.
+   */
+  #computeDataPoints(record) {
+    if (this.variables.maps.computed.size > 0) {
+      let namedRecord = {};
+
+      this.variables.maps.uids.forEach((sourceField, variableUID) => {
+        if (!this.variables.maps.computed.has(variableUID)) {
+          namedRecord[sourceField] = record[this.variables.maps.index.get(variableUID)];
+        }
+      });
+
+      this.variables.maps.computed.forEach((compute, variableUID) => {
+        const index = this.variables.maps.index.get(variableUID);
+        const sourceField = this.variables.maps.uids.get(variableUID);
+
+        let value = undefined;
+
+        try {
+          value = compute(namedRecord);
+        } catch (error) {
+          // A failed computation is treated as a missing value.
+          value = undefined;
+        }
+
+        // So is a calculation on missing values (e.g. NaN).
+        if (typeof value === 'number' && !isFinite(value)) {
+          value = undefined;
+        }
+
+        record[index] = this.#parseDataPoint(value, this.variables.maps.types.get(variableUID));
+
+        namedRecord[sourceField] = record[index];
+      });
+    }
+  }
+
+  /**
+   * Explode the nested array declared with the 'flatten' option, so that each of its elements becomes a record.
+   *
+   * @param {Object} rawData An object containing the incoming records.
+   * @returns The flattened records, or the raw data as they are if no array has to be flattened.
+   */
+  #flattenRecords(rawData) {
+    return this.flatten && rawData ? parsing_utilities.flattenRecords(rawData, this.flatten) : rawData;
+  }
+
   /**
    * Create an array (data set) of arrays (records) to represent the parsed values (data points).
    *
    * @param {Object} rawData An object containing the data to be used to populate the data set.
    */
   #createDataSet(rawData) {
+    rawData = this.#checkRecords(this.#flattenRecords(rawData));
+
     const dataPoints = rawData && rawData.length > 0 ? this.#parseRecords(rawData) : [];
 
-    this.dataSet = dataPoints;
+    this.dataSet = [];
+    this.keys.clear();
+
+    this.revision += 1;
+
+    this.searchIndex.built = false;
+
+    // The recorded changes refer to the previous records.
+    this.clearHistory();
+
+    // If a primary key is defined, records with the same key are merged.
+    this.#mergeRecords(dataPoints, rawData);
 
     // Initially (before it is used to store processed data), the temporary data set mirrors the main data set.
     this.temporaryDataSet = Object.assign([], this.dataSet);
   }
 
+  /**
+   * Return the primary key of a record, as a string.
+   *
+   * @param {[string]} record The array representing the record.
+   * @returns The key of the record, or null if no primary key is defined or the record's key is empty.
+   */
+  #getRecordKey(record) {
+    if (!this.variables.primaryKey) {
+      return null;
+    }
+
+    const key = record[this.variables.maps.index.get(this.variables.primaryKey)];
+
+    return this.#isEmptyDataPoint(key) ? null : String(key);
+  }
+
+  /**
+   * Check that the edited records wouldn't share their primary key with each other or with the other records.
+   *
+   * @param {[[string]]} records The records to be edited.
+   * @param {[[string]]} updatedRecords The edited records (in the same order), not written yet.
+   */
+  #checkKeys(records, updatedRecords) {
+    if (!this.variables.primaryKey) {
+      return;
+    }
+
+    const editedRecords = new Set(records);
+
+    let keys = new Set();
+
+    for (const updatedRecord of updatedRecords) {
+      const key = this.#getRecordKey(updatedRecord);
+
+      if (key !== null) {
+        if (keys.has(key) || (this.keys.has(key) && !editedRecords.has(this.keys.get(key)))) {
+          throw 'Data Collection Error: the key "' + key + '" already exists.';
+        }
+
+        keys.add(key);
+      }
+    }
+  }
+
+  /**
+   * Rebuild the index of the records by primary key.
+   */
+  #indexRecords() {
+    this.keys.clear();
+
+    if (this.variables.primaryKey) {
+      for (const record of this.dataSet) {
+        const key = this.#getRecordKey(record);
+
+        if (key !== null) {
+          this.keys.set(key, record);
+        }
+      }
+    }
+  }
+
+  /**
+   * Add parsed records into the data set. If a record has the same primary key of an existing one, the existing record
+   * is updated in place instead: only the data points whose source field is in the raw record are changed, and the
+   * stored key is kept as it is.
+   *
+   * @param {[string]} records An array of arrays representing the parsed records.
+   * @param {[Object]} rawData The raw records from which the records were parsed, in the same order.
+   * @returns An object with the 'added' and 'updated' records.
+   */
+  #mergeRecords(records, rawData) {
+    let added = [];
+    let updated = [];
+
+    records.forEach((record, position) => {
+      const key = this.#getRecordKey(record);
+
+      if (key !== null && this.keys.has(key)) {
+        // Update in place, so that the change is reflected in the temporary data set as well.
+        const existingRecord = this.keys.get(key);
+
+        this.variables.maps.uids.forEach((sourceField, variableUID) => {
+          if (
+            variableUID !== this.variables.primaryKey &&
+            !this.variables.maps.computed.has(variableUID) &&
+            parsing_utilities.hasValueByPath(rawData[position], sourceField)
+          ) {
+            const index = this.variables.maps.index.get(variableUID);
+
+            existingRecord[index] = record[index];
+          }
+        });
+
+        this.#computeDataPoints(existingRecord);
+
+        updated.push(existingRecord);
+      } else {
+        this.dataSet.push(record);
+
+        if (key !== null) {
+          this.keys.set(key, record);
+        }
+
+        added.push(record);
+      }
+    });
+
+    return { added: added, updated: updated };
+  }
+
+  /**
+   * Return the function used to calculate the data points of a computed variable.
+   *
+   * @param {Object} variable The variable, as declared in the data model. Its 'compute' property can be a function or
+   * the source code of a function.
+   * @param {string} variableUID The UID of the variable.
+   * @returns The compute function.
+   */
+  #getComputeFunction(variable, variableUID) {
+    const compute =
+      typeof variable.compute === 'string' ? Function('"use strict";return ' + variable.compute)() : variable.compute;
+
+    if (typeof compute !== 'function') {
+      throw 'Data Collection Error: the compute property of "' + variableUID + '" is NOT a function.';
+    }
+
+    return compute;
+  }
+
+  /**
+   * Check that a locale (or a list of locales) is valid for Intl.Collator.
+   *
+   * @param {string || [string]} locale The BCP 47 language tag(s), e.g. 'fr' or ['de-CH', 'de'].
+   * @returns The locale.
+   */
+  #parseLocale(locale) {
+    try {
+      Intl.Collator.supportedLocalesOf(locale);
+    } catch (error) {
+      throw 'Data Collection Error: the locale "' + locale + '" is invalid.';
+    }
+
+    return locale;
+  }
+
+  /**
+   * Create the collation of a variable, i.e. the locale used to sort and filter its text and the related collator.
+   *
+   * @param {Object} variable The variable, as declared in the data model. Its 'locale' overrides the one of the
+   * collection (false disables it), and 'naturalOrder' (default: false) sorts the numbers within the text by their
+   * value (e.g. "Item 2" before "Item 10").
+   * @returns An object with the 'locale' (null if none) and the 'collator' (null if the text is sorted by code unit).
+   */
+  #createCollation(variable) {
+    const locale =
+      variable.locale === false ? null : variable.locale ? this.#parseLocale(variable.locale) : this.locale;
+
+    const naturalOrder = variable.naturalOrder === true;
+
+    return {
+      locale: locale,
+      // Without a locale, the natural order uses the one of the environment.
+      collator:
+        locale || naturalOrder ? new Intl.Collator(locale ? locale : undefined, { numeric: naturalOrder }) : null,
+    };
+  }
+
   /**
    * Create the indexes necessary to process, manipulate and represent the data set and it's records.
+   *
+   * @param {boolean} keepProcessing Default: false. If true, the sorting and filtering options of the variables already
+   * in the maps are preserved, e.g. when a variable is added or removed.
    */
-  #createVariablesMaps() {
+  #createVariablesMaps(keepProcessing = false) {
+    this.variables.maps.uids.clear();
+    this.variables.maps.reverseUids.clear();
+    this.variables.maps.index.clear();
+    this.variables.maps.reverseIndex.clear();
+    this.variables.maps.types.clear();
+    this.variables.maps.computed.clear();
+    this.variables.maps.nulls.clear();
+    this.variables.maps.collation.clear();
+    this.variables.maps.defaultOrder.clear();
+
+    // The types of the variables might change.
+    this.typedColumns.clear();
+
+    // The search index is built again (when needed) with the new variables.
+    this.searchIndex.built = false;
+
+    this.revision += 1;
+
+    this.variables.primaryKey = null;
+
+    if (!keepProcessing) {
+      this.variables.maps.sorting.clear();
+      this.variables.maps.sortingPriority.clear();
+      this.variables.maps.filtering.clear();
+    }
+
     // Generate a Map with the variables according to the order provided in the list of variables.
 
     for (let i = 0; i < this.variables.size; i++) {
@@ -144,9 +610,12 @@ export class DataCollection {
         throw 'Data Collection Error: ' + variableUID + ' already exists. Please, provide another unique UID.';
       }
 
+      // Computed variables don't require a source field: if missing, the variable UID is used to reference them.
+      const sourceField = variable.sourceField ? variable.sourceField : variable.compute ? variableUID : '';
+
       // Generate a unique id for each variable.
-      if (variable.sourceField) {
-        this.variables.maps.uids.set(variableUID, variable.sourceField);
+      if (sourceField) {
+        this.variables.maps.uids.set(variableUID, sourceField);
       } else {
         throw 'Data Collection Error: one or more variable names and/or source fields are missing.';
       }
@@ -154,7 +623,7 @@ export class DataCollection {
       // VARIABLES
 
       // For each variable UID, provide the source field.
-      this.variables.maps.reverseUids.set(variable.sourceField, variableUID);
+      this.variables.maps.reverseUids.set(sourceField, variableUID);
 
       // For each variable UID, assign a numeric index.
       this.variables.maps.index.set(variableUID, index);
@@ -162,9 +631,27 @@ export class DataCollection {
       // For each index, provide the related variable UID.
       this.variables.maps.reverseIndex.set(index, variableUID);
 
+      // The variable used as primary key.
+      if (variable.primaryKey === true) {
+        if (this.variables.primaryKey && this.variables.primaryKey !== variableUID) {
+          throw 'Data Collection Error: only one variable can be used as primary key.';
+        }
+
+        this.variables.primaryKey = variableUID;
+      }
+
       // The type of each variable UID.
       this.variables.maps.types.set(variableUID, variable.dataType ? variable.dataType : 'text');
 
+      // Where the missing values of each variable UID are placed when sorting.
+      this.variables.maps.nulls.set(
+        variableUID,
+        variable.nulls && ['first', 'last'].includes(variable.nulls) ? variable.nulls : this.nulls
+      );
+
+      // How the text of each variable UID is sorted and filtered.
+      this.variables.maps.collation.set(variableUID, this.#createCollation(variable));
+
       // The default order to display the values by variable UID.
       let rawDefaultOrder = variable.defaultOrder ? variable.defaultOrder : 'none';
 
@@ -177,14 +664,45 @@ export class DataCollection {
 
       this.variables.maps.defaultOrder.set(variableUID, defaultOrder);
 
+      // The function used to calculate the data points of computed variables.
+      if (variable.compute) {
+        this.variables.maps.computed.set(variableUID, this.#getComputeFunction(variable, variableUID));
+      }
+
       // PROCESSING
 
       // Sorting options for each variable.
-      this.variables.maps.sorting.set(variableUID, 'none');
+      if (!this.variables.maps.sorting.has(variableUID)) {
+        this.variables.maps.sorting.set(variableUID, 'none');
+      }
 
       // Filtering options for each variable.
-      this.variables.maps.filtering.set(variableUID, '');
+      if (!this.variables.maps.filtering.has(variableUID)) {
+        this.variables.maps.filtering.set(variableUID, null);
+      }
+    }
+  }
+
+  /**
+   * Return the data set of the given type.
+   *
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set.
+   */
+  #getTargetData(type = 'initial') {
+    if (type == 'temporary') {
+      return this.temporaryDataSet;
     }
+
+    return this.dataSet;
+  }
+
+  /**
+   * Check if a data point represents a missing value.
+   *
+   * @param {string} dataPoint The data point to be checked.
+   */
+  #isEmptyDataPoint(dataPoint) {
+    return dataPoint === undefined || dataPoint === null || dataPoint === '';
   }
 
   // DATA MANIPULATION METHODS
@@ -193,13 +711,18 @@ export class DataCollection {
    * Build the data collection.
    *
    * @param {object} rawData An object containing the row data to be used to create the data set.
+   * @param {boolean} keepProcessing Default: false. Keep the sorting and filtering options of the variables.
    */
-  buildDataCollection(rawData) {
+  buildDataCollection(rawData, keepProcessing = false) {
     // 1. Create the variable index (necessary to get the records). .
-    this.#createVariablesMaps();
+    this.#createVariablesMaps(keepProcessing);
 
     // 2. Store the records (arrays) into a class property.
     this.#createDataSet(rawData);
+
+    if (this.dataSet.length > 0) {
+      this.#emit('records_added', { records: Object.assign([], this.dataSet) });
+    }
   }
 
   /**
@@ -211,15 +734,7 @@ export class DataCollection {
    * @param {[string]} variableUIDs Default: []. A list of variables UIDs from which to extract the data.
    */
   getDataPoints(type, firstRecordIndex, lastRecordIndex, variableUIDs) {
-    let targetData = [];
-
-    type = type ? type : 'initial';
-
-    if (type == 'initial') {
-      targetData = this.dataSet;
-    } else if (type == 'temporary') {
-      targetData = this.temporaryDataSet;
-    }
+    const targetData = this.#getTargetData(type);
 
     let records = [];
 
@@ -256,257 +771,3648 @@ export class DataCollection {
    * Clean the existing indexes and add a fresh set of data into the data indexes.
    *
    * @param {object} rawData An object containing the data to be used to populate the data set.
+   * @param {boolean} keepProcessing Default: false. Keep the sorting and filtering options of the variables, e.g. when
+   * the records of a table are replaced with fresh ones.
    */
-  loadDataSet(rawData) {
-    this._resetData();
+  loadDataSet(rawData, keepProcessing = false) {
+    this.removeAllData(true, false);
 
     if (rawData && rawData.length > 0) {
       // Add the new data and (re-)initialise the data indexes.
-      this.buildDataCollection(rawData);
+      this.buildDataCollection(rawData, keepProcessing);
     }
   }
 
   /**
-   * Add additional data to the existing ones on the Table Generator.
+   * Add additional data to the existing ones on the Table Generator. If a primary key is defined, records already in
+   * the data set are updated instead of being duplicated.
    *
    * @param {string} rawData An object containing the data to be used to be added into the data set.
+   * @returns An object with the number of 'added' and 'updated' records.
    */
   addRecords(rawData) {
-    if (rawData && rawData.length > 0) {
-      const data = this.#parseRecords(rawData);
-
-      // 2. Include the new parsed records in the data set.
-      Array.prototype.push.apply(this.dataSet, data);
-    }
+    return this.upsertRecords(rawData);
   }
 
+  // VALIDATION METHODS
+
   /**
-   * Add a new variable to the data set.
+   * Check a raw value against the constraints declared in the data model for a variable.
    *
-   * @param {object} properties The Object representing the variable.
-   * @param {[string]} records The array representing the content of the variable. The records are appended sequentially
-   * starting from the first data point.
+   * @param {Object} variable The variable, as declared in the data model.
+   * @param {string} variableUID The UID of the variable.
+   * @param {Object} rawRecord The raw record containing the value.
+   * @returns The problem found, as { code, problem }, or null if the value is valid.
    */
-  addVariable(variableProperties, records) {
-    this.variables.push(variableProperties);
+  #validateDataPoint(variable, variableUID, rawRecord) {
+    const sourceField = this.variables.maps.uids.get(variableUID);
+    const variableType = this.variables.maps.types.get(variableUID);
 
-    this.#createVariablesMaps();
+    if (!parsing_utilities.hasValueByPath(rawRecord, sourceField)) {
+      return variable.required === true ? { code: 'missing', problem: 'The value is required.' } : null;
+    }
 
-    const variableUID = this.variables.maps.reverseUids.get(variableProperties.sourceField);
+    const value = parsing_utilities.getValueByPath(rawRecord, sourceField);
 
-    if (records && records.length > 0 && variableUID) {
-      for (let i = 0; i < this.dataSet.length; i++) {
-        this.dataSet[i][variableUID] = dataPoints[i];
-      }
+    if (value === undefined || value === null || value === '') {
+      return variable.nullable === false ? { code: 'null', problem: 'The value cannot be empty.' } : null;
     }
 
-    return this.dataSet;
-  }
+    const stringValue = String(value).trim();
 
-  /**
-   * Modify the content of one of more data points given the dataPoint index and/or the variable ID.
-   *
-   * @param {number} recordIndex (Optional) The dataPoint to be edited or from which to edit the single data set 
-   * (identified by the variable).
-   * @param {string} variableUID (Optional) The UID of the variable where the data set is located.
-   * @param {string || [string]} values Either a string (in case a single dataPoint is to be edited), or a 
-   * comma-separated/array of data used to edit many records.
-   */
-  editDataPoints(recordIndex, variableUID, values) {
-    if (recordIndex) {
-      const index = this.variables.maps.reverseUids.get(variableUID);
+    // The value must match the type of the variable.
+    if (variableType === 'number' && (stringValue === '' || isNaN(Number(stringValue)))) {
+      return { code: 'type', problem: `"${value}" is NOT a number.` };
+    }
 
-      if (variableUID) {
-        const type = this.variables.maps.types.get(variableUID);
+    if (['eu_date', 'iso_date'].includes(variableType) && !this.#isCalendarDate(value)) {
+      return { code: 'type', problem: `"${value}" is NOT a valid date.` };
+    }
 
-        this.dataSet[index] = this.#parseDataPoint(values, type);
-      } else {
-        this.dataSet[index] = this.#parseRecords(values);
+    if (variableType === 'boolean' && !['true', 'false'].includes(stringValue.toLowerCase())) {
+      return { code: 'type', problem: `"${value}" is NOT a boolean.` };
+    }
+
+    if (Array.isArray(variable.allowedValues)) {
+      const allowedValues = variable.allowedValues.map((allowedValue) => String(allowedValue));
+
+      if (!allowedValues.includes(stringValue)) {
+        return { code: 'allowed_values', problem: `"${value}" is NOT one of: ${allowedValues.join(', ')}.` };
       }
-    } else if (variableUID) {
-      const index = this.variables.maps.reverseUids.get(variableUID);
+    }
 
-      for (let i = 0; i < this.dataSet.length; i++) {
-        if (typeof values == 'string') {
-          const splitData = values.split('');
+    if (variable.range) {
+      const comparableValue = this.#getComparableValue(value, variableType);
 
-          this.dataSet[i][index] = this.#parseDataPoint(splitData[i]);
-        } else {
-          this.dataSet[i][index] = this.#parseDataPoint(values[i]);
-        }
+      const hasMin = variable.range.min !== undefined && variable.range.min !== null;
+      const hasMax = variable.range.max !== undefined && variable.range.max !== null;
+
+      if (
+        (hasMin && !(comparableValue >= this.#getComparableValue(variable.range.min, variableType))) ||
+        (hasMax && !(comparableValue <= this.#getComparableValue(variable.range.max, variableType, true)))
+      ) {
+        return {
+          code: 'range',
+          problem: `"${value}" is NOT between ${hasMin ? variable.range.min : '-'} and ${
+            hasMax ? variable.range.max : '-'
+          }.`,
+        };
+      }
+    }
+
+    if (variable.pattern) {
+      const pattern = variable.pattern instanceof RegExp ? variable.pattern : new RegExp(variable.pattern);
+
+      if (!pattern.test(String(value))) {
+        return { code: 'pattern', problem: `"${value}" does NOT match the pattern ${pattern}.` };
       }
     }
+
+    return null;
   }
 
   /**
-   * Clean the existing indexes.
+   * Check a set of raw records against the data model, i.e. the type of each variable and the constraints declared
+   * with the 'required', 'nullable', 'allowedValues', 'range' and 'pattern' properties. Computed variables are ignored.
    *
-   * @param {boolean} dataSet Default: true.
-   * @param {boolean} variables Default: true.
+   * @param {object} rawData An object containing the records to be checked.
+   * @returns An object with the number of 'records' checked, the number of 'invalid' ones, and the list of 'problems'
+   * found, as { recordIndex, variableUID, code, problem, value }, where recordIndex is the position of the record in
+   * the raw data.
    */
-  removeAllData(dataSet = true, variables = true) {
-    // Empty the properties containing the data related to the dataSet.
-    if (dataSet) {
-      this.dataSet = [];
-      this.temporaryDataSet = [];
+  validateRecords(rawData) {
+    let report = { records: rawData ? rawData.length : 0, invalid: 0, problems: [] };
+
+    if (!rawData) {
+      return report;
     }
 
-    // Clear all the Maps associated with the variables of the collection.
-    if (variables) {
-      this.variables.maps.uids.clear();
-      this.variables.maps.reverseUids.clear();
+    rawData.forEach((rawRecord, recordIndex) => {
+      let valid = true;
 
-      this.variables.maps.index.clear();
-      this.variables.maps.reverseIndex.clear();
+      this.variables.maps.index.forEach((index, variableUID) => {
+        if (this.variables.maps.computed.has(variableUID)) {
+          return;
+        }
 
-      this.variables.maps.types.clear();
+        const result = this.#validateDataPoint(this.variables.list[index], variableUID, rawRecord ? rawRecord : {});
 
-      this.variables.maps.sorting.clear();
-      this.variables.maps.filtering.clear();
+        if (result) {
+          const sourceField = this.variables.maps.uids.get(variableUID);
 
-      this.variables.maps.defaultOrder.clear();
+          report.problems.push({
+            recordIndex: recordIndex,
+            variableUID: variableUID,
+            code: result.code,
+            problem: result.problem,
+            value: parsing_utilities.getValueByPath(rawRecord, sourceField),
+          });
+
+          valid = false;
+        }
+      });
+
+      if (!valid) {
+        report.invalid += 1;
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Validate the incoming records according to the validation option, store the report, and notify the observers.
+   *
+   * @param {object} rawData An object containing the incoming records.
+   * @returns The records to be loaded: in 'strict' mode, the invalid ones are left out.
+   */
+  #checkRecords(rawData) {
+    if (this.validation === 'none' || !rawData || rawData.length < 1) {
+      return rawData;
+    }
+
+    const report = this.validateRecords(rawData);
+
+    report.rejected = this.validation === 'strict' ? report.invalid : 0;
+
+    this.validationReport = report;
+
+    this.#emit('records_validated', report);
+
+    if (this.validation === 'strict' && report.invalid > 0) {
+      const invalidRecords = new Set(report.problems.map((problem) => problem.recordIndex));
+
+      return rawData.filter((rawRecord, recordIndex) => !invalidRecords.has(recordIndex));
     }
+
+    return rawData;
   }
 
+  // IMPORT METHODS
+
   /**
-   * Remove all the data points from the dataset.
+   * Convert a value read from a text file into the type of a variable.
    *
-   * @param {number} firstRecordIndex
-   * @param {number} lastRecordIndex
-   * @param {[string]} variableUIDs
+   * @param {string} value The value to be converted.
+   * @param {string} variableType The type of the variable.
+   * @returns An object with the converted 'value', or the 'problem' found.
    */
-  removeDataPoints(firstRecordIndex, lastRecordIndex, variableUIDs) {
-    lastRecordIndex = lastRecordIndex ? lastRecordIndex : this.dataSet.length - 1;
+  #coerceDataPoint(value, variableType) {
+    if (typeof value !== 'string') {
+      return { value: value };
+    }
 
-    const deleteCount = lastRecordIndex - firstRecordIndex;
+    value = value.trim();
 
-    if (variableUIDs && variableUIDs.length > 0) {
-      variableUIDs = typeof variableUIDs === 'string' ? [variableUIDs] : variableUIDs;
+    // Empty values are treated as missing ones.
+    if (value === '') {
+      return { value: undefined };
+    }
 
-      for (let a = firstRecordIndex; a <= lastRecordIndex; a++) {
-        for (const variableUID of variableUIDs) {
-          this.editDataPoints(a, variableUID, null);
+    switch (variableType) {
+      case 'number': {
+        const number = Number(value);
+
+        return isNaN(number) ? { problem: `"${value}" is NOT a number.` } : { value: number };
+      }
+
+      case 'eu_date':
+      case 'iso_date':
+        return isNaN(this.#getTimestamp(value)) ? { problem: `"${value}" is NOT a valid date.` } : { value: value };
+
+      case 'boolean': {
+        const lowerCaseValue = value.toLowerCase();
+
+        if (['true', '1', 'yes'].includes(lowerCaseValue)) {
+          return { value: 'true' };
         }
+
+        if (['false', '0', 'no'].includes(lowerCaseValue)) {
+          return { value: 'false' };
+        }
+
+        return { problem: `"${value}" is NOT a boolean.` };
+      }
+
+      default:
+        return { value: value };
+    }
+  }
+
+  /**
+   * Parse a text (CSV, TSV, JSON Lines or JSON) and add its records into the data set. The fields are matched with the
+   * source fields of the variables or, failing that, with their labels (e.g. the header of an exported table). The
+   * values are converted according to the type of each variable: the rows that cannot be parsed or converted are
+   * skipped and reported. When merging, the records matching an existing key update only the fields present in the
+   * text (e.g. the columns of a CSV header), leaving the others as they are.
+   *
+   * @param {string} text The text to be imported.
+   * @param {string} format Default: 'csv'. Options: 'csv', 'tsv', 'jsonl', 'json'.
+   * @param {Object} options (Optional) The options of the parsing utilities (e.g. 'delimiter', 'header', 'fields',
+   * 'fieldMap') and 'replace' (default: false), to replace the records of the data set instead of merging them.
+   * @returns An object with the number of records 'added' and 'updated', and the rows that 'failed', as
+   * { row, line, variableUID, problem }.
+   */
+  importData(text, format = 'csv', options = {}) {
+    // By default, the labels of the variables are mapped to their source fields.
+    let fieldMap = {};
+
+    for (const variable of this.variables.list) {
+      if (variable.label && variable.sourceField && !this.variables.maps.reverseUids.has(variable.label)) {
+        fieldMap[variable.label] = variable.sourceField;
       }
     }
 
-    this.dataSet.splice(firstRecordIndex, deleteCount);
+    const parsingOptions = Object.assign({}, options, {
+      fieldMap: Object.assign(fieldMap, options.fieldMap ? options.fieldMap : {}),
+    });
 
-    // Refactor the temporary data set to match the new data set
-    this.temporaryDataSet = this.sortRecords(this.dataSet);
+    let parsedText = null;
+
+    switch (format) {
+      case 'csv':
+        parsedText = parsing_utilities.parseCSV(text, parsingOptions);
+
+        break;
+
+      case 'tsv':
+        parsedText = parsing_utilities.parseTSV(text, parsingOptions);
+
+        break;
+
+      case 'jsonl':
+        parsedText = parsing_utilities.parseJSONLines(text, parsingOptions);
+
+        break;
+
+      case 'json': {
+        let records = [];
+
+        try {
+          records = JSON.parse(text);
+        } catch (error) {
+          const failure = { row: null, line: null, variableUID: null, problem: 'Invalid JSON: ' + error.message };
+
+          return { added: 0, updated: 0, failed: [failure] };
+        }
 
-    this.temporaryDataSet = this.filterRecords(this.temporaryDataSet);
+        records = Array.isArray(records) ? records : [records];
+
+        parsedText = { records: records, lines: records.map(() => null), errors: [] };
+
+        break;
+      }
+
+      default:
+        throw 'Data Collection Error: import format "' + format + '" NOT supported.';
+    }
+
+    let report = { added: 0, updated: 0, failed: [] };
+
+    for (const error of parsedText.errors) {
+      report.failed.push({ row: error.row, line: error.line, variableUID: null, problem: error.problem });
+    }
+
+    let validRecords = [];
+
+    parsedText.records.forEach((record, index) => {
+      let coercedRecord = {};
+      let problems = [];
+
+      this.variables.maps.uids.forEach((sourceField, variableUID) => {
+        if (!this.variables.maps.computed.has(variableUID) && parsing_utilities.hasValueByPath(record, sourceField)) {
+          const result = this.#coerceDataPoint(
+            parsing_utilities.getValueByPath(record, sourceField),
+            this.variables.maps.types.get(variableUID)
+          );
+
+          if (result.problem) {
+            problems.push({
+              row: index + 1,
+              line: parsedText.lines[index],
+              variableUID: variableUID,
+              problem: result.problem,
+            });
+          } else {
+            coercedRecord[sourceField] = result.value;
+          }
+        }
+      });
+
+      if (problems.length > 0) {
+        report.failed.push(...problems);
+      } else {
+        validRecords.push(coercedRecord);
+      }
+    });
+
+    // Report the failures in the order they occur in the text.
+    report.failed.sort((a, b) => (a.row === null ? 0 : a.row) - (b.row === null ? 0 : b.row));
+
+    if (options.replace) {
+      this.loadDataSet(validRecords);
+
+      report.added = this.dataSet.length;
+    } else {
+      const result = this.upsertRecords(validRecords);
+
+      report.added = result.added;
+      report.updated = result.updated;
+    }
+
+    return report;
   }
 
+  // KEYED RECORD METHODS
+
   /**
-   * Remove a variable and its data points.
+   * Return the record identified by a primary key.
    *
-   * @param {string} variableUID The UID that represents the data point.
+   * @param {string} key The value of the primary key.
+   * @returns The array representing the record, or undefined if not found.
    */
-  removeVariable(variableUID) {
-    const index = this.variables.maps.index.get(variableUID);
+  getRecordByKey(key) {
+    return key !== undefined && key !== null ? this.keys.get(String(key)) : undefined;
+  }
+
+  /**
+   * Insert new records, or update the existing ones with the same primary key: only the fields present in the incoming
+   * record are changed, the others (and the stored key) are left as they are. Without a primary key, all the records
+   * are appended to the data set. The merge is undone/redone as a single change.
+   *
+   * @param {object} rawData An object containing the data to be merged into the data set.
+   * @returns An object with the number of 'added' and 'updated' records.
+   */
+  upsertRecords(rawData) {
+    rawData = this.#checkRecords(this.#flattenRecords(rawData));
+
+    if (rawData && rawData.length > 0) {
+      const records = this.#parseRecords(rawData);
+
+      const previousOrder = Object.assign([], this.dataSet);
+
+      // Keep a copy of the data points of the records to be updated, so that the merge can be undone.
+      let previousValues = new Map();
+
+      for (const record of records) {
+        const existingRecord = this.keys.get(this.#getRecordKey(record));
 
-    this.variables.splice(index, 1);
+        if (existingRecord && !previousValues.has(existingRecord)) {
+          previousValues.set(existingRecord, Object.assign([], existingRecord));
+        }
+      }
+
+      const mergedRecords = this.#mergeRecords(records, rawData);
+
+      const updatedRecords = Array.from(previousValues.keys());
+      const currentValues = updatedRecords.map((record) => Object.assign([], record));
+      const currentOrder = Object.assign([], this.dataSet);
 
-    if (this.dataSet) {
-      for (let i = 0; i < this.dataSet.length; i++) {
-        this.dataSet.splice(index, 1);
+      if (mergedRecords.added.length > 0) {
+        this.#emit('records_added', { records: mergedRecords.added });
       }
+
+      if (mergedRecords.updated.length > 0) {
+        this.#emit('records_edited', { records: mergedRecords.updated, variableUIDs: [] });
+      }
+
+      this.#recordChange({
+        undo: () => {
+          this.#restoreRecords(updatedRecords, Array.from(previousValues.values()), []);
+          this.#reorderDataSet(previousOrder, [], mergedRecords.added);
+        },
+        redo: () => {
+          this.#restoreRecords(updatedRecords, currentValues, []);
+          this.#reorderDataSet(currentOrder, mergedRecords.added, []);
+        },
+      });
+
+      return { added: mergedRecords.added.length, updated: mergedRecords.updated.length };
+    }
+
+    return { added: 0, updated: 0 };
+  }
+
+  /**
+   * Update some of the data points of the record identified by a primary key. The record is left unchanged if its new
+   * key already belongs to another record. The update can be undone.
+   *
+   * @param {string} key The value of the primary key.
+   * @param {object} rawValues An object with the new values, keyed by source field. Missing fields are left unchanged.
+   * @returns The array representing the updated record.
+   */
+  updateRecordByKey(key, rawValues) {
+    const record = this.getRecordByKey(key);
+
+    if (!record) {
+      throw 'Data Collection Error: record with key "' + key + '" NOT found.';
     }
 
-    if (this.temporaryDataSet) {
-      for (let i = 0; i < this.temporaryDataSet.length; i++) {
-        this.temporaryDataSet.splice(index, 1);
+    let updatedRecord = Object.assign([], record);
+
+    this.variables.maps.uids.forEach((sourceField, variableUID) => {
+      if (parsing_utilities.hasValueByPath(rawValues, sourceField) && !this.variables.maps.computed.has(variableUID)) {
+        updatedRecord[this.variables.maps.index.get(variableUID)] = this.#parseDataPoint(
+          parsing_utilities.getValueByPath(rawValues, sourceField),
+          this.variables.maps.types.get(variableUID)
+        );
       }
+    });
+
+    this.#computeDataPoints(updatedRecord);
+
+    this.#checkKeys([record], [updatedRecord]);
+
+    const previousValues = Object.assign([], record);
+
+    record.splice(0, record.length, ...updatedRecord);
+
+    // The key itself might have been changed.
+    this.#indexRecords();
+
+    this.#emit('records_edited', { records: [record], variableUIDs: [] });
+
+    this.#recordChange({
+      undo: () => this.#restoreRecords([record], [previousValues], []),
+      redo: () => this.#restoreRecords([record], [updatedRecord], []),
+    });
+
+    return record;
+  }
+
+  /**
+   * Delete the record identified by a primary key from both the data set and the temporary data set. The deletion can
+   * be undone.
+   *
+   * @param {string} key The value of the primary key.
+   * @returns True if the record was found and deleted, otherwise false.
+   */
+  deleteRecordByKey(key) {
+    const record = this.getRecordByKey(key);
+
+    if (!record) {
+      return false;
+    }
+
+    const previousOrder = Object.assign([], this.dataSet);
+
+    this.dataSet.splice(this.dataSet.indexOf(record), 1);
+
+    const temporaryIndex = this.temporaryDataSet.indexOf(record);
+
+    if (temporaryIndex > -1) {
+      this.temporaryDataSet.splice(temporaryIndex, 1);
     }
+
+    this.keys.delete(String(key));
+
+    this.#emit('records_removed', { records: [record] });
+
+    const currentOrder = Object.assign([], this.dataSet);
+
+    this.#recordChange({
+      undo: () => this.#reorderDataSet(previousOrder, [record], []),
+      redo: () => this.#reorderDataSet(currentOrder, [], [record]),
+    });
+
+    return true;
   }
 
   /**
-   * Sort the records according to the DataCollection's sorting map.
+   * Remove a set of records (e.g. the rows selected in a table) from the data set. The removal can be undone.
    *
-   * @param {[string]} records An array of array representing the records to be sorted.
+   * @param {[[string]]} records The records to be removed. Those not in the data set are ignored.
+   * @returns The removed records, in the order of the data set.
    */
-  sortRecords(records) {
-    let sortedRecords = Object.assign([], records);
+  removeRecords(records) {
+    const removedSet = new Set(records);
 
-    this.variables.maps.sorting.forEach((ordering, variableUID) => {
-      if (ordering != 'none') {
-        let variableIndex = variableUID ? this.variables.maps.index.get(variableUID) : -1;
+    const removedRecords = this.dataSet.filter((record) => removedSet.has(record));
 
-        let order = ordering === 'desc' || ordering === 'descending' ? -1 : 1;
+    if (removedRecords.length === 0) {
+      return [];
+    }
 
-        if (variableUID && variableIndex > -1) {
-          sortedRecords.sort((a, b) => {
-            let dataPointA = a[variableIndex];
-            let dataPointB = b[variableIndex];
+    const previousOrder = Object.assign([], this.dataSet);
+    const currentOrder = this.dataSet.filter((record) => !removedSet.has(record));
 
-            if (dataPointA === undefined || dataPointA === null) {
-              dataPointA = '';
-            }
+    this.#reorderDataSet(currentOrder, [], removedRecords);
 
-            if (dataPointB === undefined || dataPointB === null) {
-              dataPointB = '';
-            }
+    this.#recordChange({
+      undo: () => this.#reorderDataSet(previousOrder, removedRecords, []),
+      redo: () => this.#reorderDataSet(currentOrder, [], removedRecords),
+    });
 
-            if (String(dataPointA).match(this.euDateTimeRegExp) && String(dataPointB).match(this.euDateTimeRegExp)) {
-              dataPointA = Date.parse(date_utilities.convertEuDateInIsoDate(dataPointA));
-              dataPointB = Date.parse(date_utilities.convertEuDateInIsoDate(dataPointB));
-            }
+    this.processRecords();
 
-            // If both values are numeric, do a numeric comparison
-            if (
-              !isNaN(parseFloat(dataPointA)) &&
-              isFinite(dataPointA) &&
-              !isNaN(parseFloat(dataPointB)) &&
-              isFinite(dataPointB)
-            ) {
-              // Convert numerical values form string to float.
-              dataPointA = parseFloat(dataPointA);
-              dataPointB = parseFloat(dataPointB);
-
-              return order * (dataPointA - dataPointB);
-            }
+    return removedRecords;
+  }
 
-            if (dataPointA < dataPointB) {
-              return order * -1;
-            }
+  // DIFF AND MERGE METHODS
 
-            if (dataPointA > dataPointB) {
-              return order * 1;
-            }
+  /**
+   * Compare the data set with a fresh set of raw records, matching the records by the data points of a variable.
+   * Records with an empty key in the data set are ignored. If the raw records contain the same key more than once, the
+   * last occurrence is used.
+   *
+   * @param {object} rawData An object containing the data to be compared with the data set.
+   * @param {string} variableUID Default: the primary key. The UID of the variable used to match the records.
+   * @param {boolean} apply Default: false. If true, merge the changes into the data set (see applyDiff).
+   * @returns An object with the 'added' and 'removed' records (as { key, record }), the 'modified' records (as
+   * { key, record, values, changes }, where each change is { variableUID, before, after }) and the number of
+   * 'unchanged' records.
+   */
+  diffRecords(rawData, variableUID = this.variables.primaryKey, apply = false) {
+    const keyIndex = this.variables.maps.index.get(variableUID);
 
-            return 0;
+    if (keyIndex === undefined) {
+      throw 'Data Collection Error: the variable used to compare the records is missing or invalid.';
+    }
 
-          });
-        } else {
-          throw new Error('Error: variable NOT found.');
+    const getKey = (record) => (this.#isEmptyDataPoint(record[keyIndex]) ? null : String(record[keyIndex]));
+
+    let currentRecords = new Map();
+
+    for (const record of this.dataSet) {
+      const key = getKey(record);
+
+      if (key !== null && !currentRecords.has(key)) {
+        currentRecords.set(key, record);
+      }
+    }
+
+    let incomingRecords = new Map();
+    let unkeyedRecords = [];
+
+    for (const record of this.#parseRecords(this.#flattenRecords(rawData))) {
+      const key = getKey(record);
+
+      if (key === null) {
+        unkeyedRecords.push(record);
+      } else {
+        incomingRecords.set(key, record);
+      }
+    }
+
+    let diff = { variableUID: variableUID, added: [], removed: [], modified: [], unchanged: 0 };
+
+    incomingRecords.forEach((values, key) => {
+      const record = currentRecords.get(key);
+
+      if (!record) {
+        diff.added.push({ key: key, record: values });
+
+        return;
+      }
+
+      let changes = [];
+
+      this.variables.maps.index.forEach((index, uid) => {
+        if (String(record[index]) !== String(values[index])) {
+          changes.push({ variableUID: uid, before: record[index], after: values[index] });
         }
+      });
+
+      if (changes.length > 0) {
+        diff.modified.push({ key: key, record: record, values: values, changes: changes });
+      } else {
+        diff.unchanged += 1;
+      }
+    });
+
+    // Records without a key can't be matched, hence they are always new.
+    for (const record of unkeyedRecords) {
+      diff.added.push({ key: null, record: record });
+    }
+
+    currentRecords.forEach((record, key) => {
+      if (!incomingRecords.has(key)) {
+        diff.removed.push({ key: key, record: record });
       }
     });
 
-    return sortedRecords;
+    if (apply) {
+      this.applyDiff(diff);
+    }
+
+    return diff;
   }
 
   /**
-   * Filter records according to the DataCollection's filtering map.
+   * Merge the result of diffRecords into the data set: the modified records are updated in place, the removed ones are
+   * deleted and the added ones are appended. The merge is undone/redone as a single change.
    *
-   * @param {[string]} records An array of arrays representing the records to be filtered.
+   * @param {Object} diff The object returned by diffRecords.
    */
-  filterRecords(records) {
-    let filteredRecords = Object.assign([], records);
+  applyDiff(diff) {
+    const modifiedRecords = diff.modified.map((modification) => modification.record);
+    const addedRecords = diff.added.map((addition) => addition.record);
+    const removedRecords = diff.removed.map((removal) => removal.record);
+
+    const previousValues = modifiedRecords.map((record) => Object.assign([], record));
+    const previousOrder = Object.assign([], this.dataSet);
+
+    diff.modified.forEach((modification) => {
+      modification.record.splice(0, modification.record.length, ...modification.values);
+    });
+
+    const removedSet = new Set(removedRecords);
+
+    const currentOrder = this.dataSet.filter((record) => !removedSet.has(record)).concat(addedRecords);
+    const currentValues = modifiedRecords.map((record) => Object.assign([], record));
+
+    this.#reorderDataSet(currentOrder, addedRecords, removedRecords);
+
+    if (modifiedRecords.length > 0) {
+      this.#emit('records_edited', { records: modifiedRecords, variableUIDs: [] });
+    }
+
+    this.#recordChange({
+      undo: () => {
+        this.#restoreRecords(modifiedRecords, previousValues, []);
+        this.#reorderDataSet(previousOrder, removedRecords, addedRecords);
+      },
+      redo: () => {
+        this.#restoreRecords(modifiedRecords, currentValues, []);
+        this.#reorderDataSet(currentOrder, addedRecords, removedRecords);
+      },
+    });
+
+    this.processRecords();
+  }
+
+  /**
+   * Replace the records of the data set, keeping the same array, and notify the records added and removed.
+   *
+   * @param {[string]} records The new records of the data set, in order.
+   * @param {[string]} addedRecords The records that weren't in the data set.
+   * @param {[string]} removedRecords The records that are no longer in the data set.
+   */
+  #reorderDataSet(records, addedRecords, removedRecords) {
+    // The records are pushed one by one, as large data sets would exceed the maximum number of arguments of splice.
+    this.dataSet.length = 0;
+
+    for (const record of records) {
+      this.dataSet.push(record);
+    }
+
+    this.#indexRecords();
 
-    this.variables.maps.filtering.forEach((value, variableUID) => {
-      let variableIndex = variableUID ? this.variables.maps.index.get(variableUID) : -1;
+    if (removedRecords.length > 0) {
+      this.#emit('records_removed', { records: removedRecords });
+    }
 
-      value = value.toLowerCase();
+    if (addedRecords.length > 0) {
+      this.#emit('records_added', { records: addedRecords });
+    }
 
-      filteredRecords = filteredRecords.filter((record) => {
-        let dataPoint = record[variableIndex].toString().toLowerCase();
+    // When undoing/redoing, the temporary data set isn't refreshed by the calling method.
+    if (this.history.replaying) {
+      this.processRecords();
+    }
+  }
 
-        return dataPoint.includes(value);
+  /**
+   * Insert a variable (and its data points) into the model and the records.
+   *
+   * @param {object} variableProperties The Object representing the variable, as in the data model.
+   * @param {number} index The position of the variable in the data model.
+   * @param {[string]} values (Optional) The data points of the variable, in the order of the data set.
+   * @returns The UID of the inserted variable.
+   */
+  #insertVariable(variableProperties, index, values) {
+    // Fix the UIDs of the existing variables, which would otherwise be re-generated from their (shifted) position.
+    if (index < this.variables.list.length) {
+      this.variables.list.forEach((variable, i) => {
+        variable.uid = this.variables.maps.reverseIndex.get(i);
       });
+    }
+
+    this.variables.list.splice(index, 0, variableProperties);
+    this.variables.size = this.variables.list.length;
+
+    this.#createVariablesMaps(true);
+
+    const variableUID = this.variables.maps.reverseIndex.get(index);
+    const variableType = this.variables.maps.types.get(variableUID);
+
+    for (let i = 0; i < this.dataSet.length; i++) {
+      this.dataSet[i].splice(index, 0, this.#parseDataPoint(values ? values[i] : undefined, variableType));
+
+      this.#computeDataPoints(this.dataSet[i]);
+    }
+
+    this.#indexRecords();
+
+    this.#emit('variable_added', { variableUID: variableUID });
+
+    return variableUID;
+  }
+
+  /**
+   * Delete a variable (and its data points) from the model and the records.
+   *
+   * @param {string} variableUID The UID of the variable.
+   * @returns An object with the removed 'variable', its 'index', its data points ('values'), and its 'sorting' and
+   * 'filter' options.
+   */
+  #deleteVariable(variableUID) {
+    const index = this.variables.maps.index.get(variableUID);
+
+    if (index === undefined) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    const removed = {
+      index: index,
+      values: this.dataSet.map((record) => record[index]),
+      sorting: this.variables.maps.sorting.get(variableUID),
+      filter: this.variables.maps.filtering.get(variableUID),
+    };
+
+    // Drop the variable from the sorting keys and the filters, and fix the UIDs of the remaining variables, which
+    // would otherwise be re-generated from their (shifted) position.
+    this.#updateSortingOrder(variableUID, 'none');
+
+    this.variables.maps.sorting.delete(variableUID);
+    this.variables.maps.filtering.delete(variableUID);
+
+    this.variables.list.forEach((variable, i) => {
+      variable.uid = this.variables.maps.reverseIndex.get(i);
     });
 
-    return filteredRecords;
+    removed.variable = this.variables.list.splice(index, 1)[0];
+    this.variables.size = this.variables.list.length;
+
+    // The temporary data set shares the records with the main data set.
+    for (const record of this.dataSet) {
+      record.splice(index, 1);
+    }
+
+    this.#createVariablesMaps(true);
+
+    this.#indexRecords();
+
+    this.#emit('variable_removed', { variableUID: variableUID, variable: removed.variable });
+
+    return removed;
+  }
+
+  /**
+   * Replace the data points of some records in place, e.g. to restore them to a previous state.
+   *
+   * @param {[string]} records The arrays representing the records to be updated.
+   * @param {[string]} values The new data points of each record.
+   * @param {[string]} variableUIDs The UIDs of the edited variables (empty if whole records are edited).
+   */
+  #restoreRecords(records, values, variableUIDs) {
+    records.forEach((record, i) => {
+      record.splice(0, record.length, ...values[i]);
+    });
+
+    this.#indexRecords();
+
+    this.#emit('records_edited', { records: records, variableUIDs: variableUIDs });
+  }
+
+  /**
+   * Add a new variable to the data set.
+   *
+   * @param {object} variableProperties The Object representing the variable, as in the data model.
+   * @param {[string]} records The array representing the content of the variable. The records are appended sequentially
+   * starting from the first data point. Ignored for computed variables.
+   */
+  addVariable(variableProperties, records) {
+    const index = this.variables.list.length;
+
+    const variableUID = this.#insertVariable(variableProperties, index, records);
+
+    const values = this.dataSet.map((record) => record[index]);
+
+    this.#recordChange({
+      undo: () => this.#deleteVariable(variableUID),
+      redo: () => this.#insertVariable(variableProperties, index, values),
+    });
+
+    return this.dataSet;
+  }
+
+  /**
+   * Modify the content of one of more data points given the dataPoint index and/or the variable ID. The computed
+   * variables of the edited records are recalculated. Nothing is edited if a primary key would be duplicated or, with
+   * validation, if a new value doesn't match the data model (see validateRecords).
+   *
+   * @param {number} recordIndex (Optional) The dataPoint to be edited or from which to edit the single data set 
+   * (identified by the variable).
+   * @param {string} variableUID (Optional) The UID of the variable where the data set is located.
+   * @param {string || [string]} values Either a string (in case a single dataPoint is to be edited), an object (in case
+   * a whole record is to be replaced), or a comma-separated/array of data used to edit many records.
+   */
+  editDataPoints(recordIndex, variableUID, values) {
+    if (variableUID && this.variables.maps.computed.has(variableUID)) {
+      throw 'Data Collection Error: "' + variableUID + '" is a computed variable and cannot be edited.';
+    }
+
+    let editedRecords = [];
+
+    if (recordIndex !== undefined && recordIndex !== null) {
+      if (!this.dataSet[recordIndex]) {
+        throw 'Data Collection Error: record "' + recordIndex + '" NOT found.';
+      }
+
+      editedRecords = [this.dataSet[recordIndex]];
+    } else if (variableUID) {
+      editedRecords = Object.assign([], this.dataSet);
+    } else {
+      return;
+    }
+
+    const singleRecord = recordIndex !== undefined && recordIndex !== null;
+
+    // The new values: one for the edited record, or one per record of the data set.
+    const newValues = singleRecord ? [values] : typeof values == 'string' ? values.split(',') : values;
+
+    // With validation, the new values are checked against the data model before any of them is written.
+    if (this.validation !== 'none') {
+      const sourceField = this.variables.maps.uids.get(variableUID);
+
+      const rawRecords = variableUID
+        ? newValues.map((value) => {
+            let rawRecord = {};
+
+            rawRecord[sourceField] = value;
+
+            return rawRecord;
+          })
+        : [values];
+
+      const problem = this.validateRecords(rawRecords).problems.find((problem) => {
+        return !variableUID || problem.variableUID === variableUID;
+      });
+
+      if (problem) {
+        throw 'Data Collection Error: ' + problem.problem;
+      }
+    }
+
+    // Keep a copy of the data points, so that the edit can be undone.
+    const previousValues = editedRecords.map((record) => Object.assign([], record));
+
+    // The edited records are prepared apart, and written only once they are checked.
+    let updatedRecords = [];
+
+    if (variableUID) {
+      const index = this.variables.maps.index.get(variableUID);
+      const type = this.variables.maps.types.get(variableUID);
+
+      updatedRecords = editedRecords.map((record, position) => {
+        let updatedRecord = Object.assign([], record);
+
+        updatedRecord[index] = this.#parseDataPoint(newValues[position], type);
+
+        this.#computeDataPoints(updatedRecord);
+
+        return updatedRecord;
+      });
+    } else {
+      updatedRecords = this.#parseRecords([values]);
+    }
+
+    this.#checkKeys(editedRecords, updatedRecords);
+
+    // Replace the data points in place, so that the change is reflected in the temporary data set as well.
+    editedRecords.forEach((record, position) => {
+      record.splice(0, record.length, ...updatedRecords[position]);
+    });
+
+    // Keep the primary key index up to date, in case the keys have been edited.
+    if (this.variables.primaryKey && (!variableUID || variableUID === this.variables.primaryKey)) {
+      this.#indexRecords();
+    }
+
+    const variableUIDs = variableUID ? [variableUID] : [];
+    const currentValues = editedRecords.map((record) => Object.assign([], record));
+
+    this.#recordChange({
+      undo: () => this.#restoreRecords(editedRecords, previousValues, variableUIDs),
+      redo: () => this.#restoreRecords(editedRecords, currentValues, variableUIDs),
+    });
+
+    this.#emit('records_edited', { records: editedRecords, variableUIDs: variableUIDs });
+  }
+
+  /**
+   * Clean the existing indexes.
+   *
+   * @param {boolean} dataSet Default: true.
+   * @param {boolean} variables Default: true.
+   */
+  removeAllData(dataSet = true, variables = true) {
+    // Empty the properties containing the data related to the dataSet.
+    if (dataSet) {
+      const removedRecords = this.dataSet;
+
+      this.dataSet = [];
+      this.temporaryDataSet = [];
+      this.keys.clear();
+
+      this.revision += 1;
+
+      // The recorded changes refer to records that no longer exist.
+      this.clearHistory();
+
+      if (removedRecords.length > 0) {
+        this.#emit('records_removed', { records: removedRecords });
+      }
+    }
+
+    // Clear all the Maps associated with the variables of the collection.
+    if (variables) {
+      this.variables.maps.uids.clear();
+      this.variables.maps.reverseUids.clear();
+
+      this.variables.maps.index.clear();
+      this.variables.maps.reverseIndex.clear();
+
+      this.variables.maps.types.clear();
+      this.variables.maps.computed.clear();
+      this.variables.maps.nulls.clear();
+      this.variables.maps.collation.clear();
+
+      this.variables.maps.sorting.clear();
+      this.variables.maps.sortingPriority.clear();
+      this.variables.maps.filtering.clear();
+
+      this.variables.maps.defaultOrder.clear();
+
+      this.variables.primaryKey = null;
+
+      this.searchIndex.built = false;
+    }
+  }
+
+  /**
+   * Remove the records within a range from the data set or, if one or more variables are provided, empty their data
+   * points within the range.
+   *
+   * @param {number} firstRecordIndex Default: 0. The index of the first record.
+   * @param {number} lastRecordIndex Default: the last index of the data set. The index of the last record (included).
+   * @param {[string]} variableUIDs (Optional) The UIDs of the variables whose data points have to be emptied.
+   */
+  removeDataPoints(firstRecordIndex, lastRecordIndex, variableUIDs) {
+    firstRecordIndex = firstRecordIndex ? firstRecordIndex : 0;
+    lastRecordIndex = lastRecordIndex || lastRecordIndex === 0 ? lastRecordIndex : this.dataSet.length - 1;
+
+    if (variableUIDs && variableUIDs.length > 0) {
+      variableUIDs = typeof variableUIDs === 'string' ? [variableUIDs] : variableUIDs;
+
+      // All the data points are emptied (and undone) at once.
+      this.beginTransaction();
+
+      for (let a = firstRecordIndex; a <= lastRecordIndex; a++) {
+        for (const variableUID of variableUIDs) {
+          this.editDataPoints(a, variableUID, null);
+        }
+      }
+
+      this.commitTransaction();
+    } else {
+      const removedRecords = this.#spliceRecords(firstRecordIndex, lastRecordIndex - firstRecordIndex + 1);
+
+      this.#recordChange({
+        undo: () => this.#spliceRecords(firstRecordIndex, 0, removedRecords),
+        redo: () => this.#spliceRecords(firstRecordIndex, removedRecords.length),
+      });
+    }
+
+    // Refactor the temporary data set to match the new data set
+    this.processRecords();
+  }
+
+  /**
+   * Remove and/or insert records at a given position of the data set, and update the temporary data set accordingly.
+   *
+   * @param {number} index The position from which to remove/insert the records.
+   * @param {number} deleteCount The number of records to be removed.
+   * @param {[string]} records Default: []. The records to be inserted.
+   * @returns The removed records.
+   */
+  #spliceRecords(index, deleteCount, records = []) {
+    const removedRecords = this.dataSet.splice(index, deleteCount, ...records);
+
+    this.#indexRecords();
+
+    if (removedRecords.length > 0) {
+      this.#emit('records_removed', { records: removedRecords });
+    }
+
+    if (records.length > 0) {
+      this.#emit('records_added', { records: records });
+    }
+
+    // When undoing/redoing, the temporary data set isn't refreshed by the calling method.
+    if (this.history.replaying) {
+      this.processRecords();
+    }
+
+    return removedRecords;
+  }
+
+  /**
+   * Remove a variable and its data points.
+   *
+   * @param {string} variableUID The UID that represents the data point.
+   */
+  removeVariable(variableUID) {
+    const removed = this.#deleteVariable(variableUID);
+
+    this.#recordChange({
+      undo: () => {
+        const restoredUID = this.#insertVariable(removed.variable, removed.index, removed.values);
+
+        // Restore the filter and (as the last sorting key) the ordering of the variable.
+        this.variables.maps.filtering.set(restoredUID, removed.filter);
+
+        if (removed.sorting && removed.sorting !== 'none') {
+          this.#updateSortingOrder(restoredUID, removed.sorting, true);
+        }
+      },
+      redo: () => this.#deleteVariable(variableUID),
+    });
+  }
+
+  // HISTORY METHODS
+
+  /**
+   * Add a change to the history, either as a single entry or as a part of the open transaction. A new change discards
+   * the changes that could be redone.
+   *
+   * @param {Object} change An object with the 'undo' and 'redo' functions of the change.
+   */
+  #recordChange(change) {
+    if (this.history.replaying || this.history.size < 1) {
+      return;
+    }
+
+    if (this.history.transaction) {
+      this.history.transaction.changes.push(change);
+
+      return;
+    }
+
+    this.history.undoStack.push({ label: '', changes: [change] });
+    this.history.redoStack = [];
+
+    this.#trimHistory();
+  }
+
+  /**
+   * Keep the number of undoable entries within the history size, discarding the oldest ones.
+   */
+  #trimHistory() {
+    if (this.history.undoStack.length > this.history.size) {
+      this.history.undoStack.splice(0, this.history.undoStack.length - this.history.size);
+    }
+
+    this.#emit('history_changed', {
+      undo: this.history.undoStack.length,
+      redo: this.history.redoStack.length,
+    });
+  }
+
+  /**
+   * Run the undo (or redo) functions of the changes of a history entry, without recording them as new changes.
+   *
+   * @param {Object} entry The history entry.
+   * @param {string} direction Options: 'undo', 'redo'.
+   */
+  #replayEntry(entry, direction) {
+    this.history.replaying = true;
+
+    try {
+      // Changes are undone in the reverse order they were made.
+      const changes = direction === 'undo' ? Object.assign([], entry.changes).reverse() : entry.changes;
+
+      for (const change of changes) {
+        change[direction]();
+      }
+    } finally {
+      this.history.replaying = false;
+    }
+  }
+
+  /**
+   * Start grouping the following changes in a single history entry, so that they can be undone at once. Transactions
+   * can be nested: the changes are grouped until the outermost transaction is committed.
+   *
+   * @param {string} label (Optional) A description of the transaction.
+   */
+  beginTransaction(label = '') {
+    if (this.history.transaction) {
+      this.history.transaction.depth += 1;
+    } else {
+      this.history.transaction = { label: label, changes: [], depth: 1 };
+    }
+  }
+
+  /**
+   * Close the transaction opened with beginTransaction and add it to the history.
+   */
+  commitTransaction() {
+    const transaction = this.history.transaction;
+
+    if (!transaction) {
+      throw 'Data Collection Error: no transaction to commit.';
+    }
+
+    transaction.depth -= 1;
+
+    if (transaction.depth > 0) {
+      return;
+    }
+
+    this.history.transaction = null;
+
+    if (transaction.changes.length > 0) {
+      this.history.undoStack.push({ label: transaction.label, changes: transaction.changes });
+      this.history.redoStack = [];
+
+      this.#trimHistory();
+    }
+  }
+
+  /**
+   * Undo the changes made since the (outermost) transaction was opened, and close it.
+   */
+  rollbackTransaction() {
+    const transaction = this.history.transaction;
+
+    if (!transaction) {
+      throw 'Data Collection Error: no transaction to roll back.';
+    }
+
+    this.history.transaction = null;
+
+    this.#replayEntry(transaction, 'undo');
+  }
+
+  /**
+   * Undo the last change (or transaction).
+   *
+   * @returns True if a change was undone, otherwise false.
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return false;
+    }
+
+    const entry = this.history.undoStack.pop();
+
+    this.#replayEntry(entry, 'undo');
+
+    this.history.redoStack.push(entry);
+
+    this.#trimHistory();
+
+    return true;
+  }
+
+  /**
+   * Redo the last undone change (or transaction).
+   *
+   * @returns True if a change was redone, otherwise false.
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return false;
+    }
+
+    const entry = this.history.redoStack.pop();
+
+    this.#replayEntry(entry, 'redo');
+
+    this.history.undoStack.push(entry);
+
+    this.#trimHistory();
+
+    return true;
+  }
+
+  /**
+   * Check if there are changes that can be undone. Changes can't be undone while a transaction is open.
+   */
+  canUndo() {
+    return !this.history.transaction && this.history.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there are undone changes that can be redone.
+   */
+  canRedo() {
+    return !this.history.transaction && this.history.redoStack.length > 0;
+  }
+
+  /**
+   * Discard all the changes recorded in the history.
+   */
+  clearHistory() {
+    const hadEntries = this.history.undoStack.length > 0 || this.history.redoStack.length > 0;
+
+    this.history.undoStack = [];
+    this.history.redoStack = [];
+    this.history.transaction = null;
+
+    if (hadEntries) {
+      this.#emit('history_changed', { undo: 0, redo: 0 });
+    }
+  }
+
+  /**
+   * Return the typed data point of a record, i.e. an object with the data point and its pre-parsed values, taken from
+   * (or added to) the typed column of the variable. The typed data point is parsed again if the data point changed.
+   *
+   * @param {[string]} record The array representing the record.
+   * @param {string} variableUID The UID of the variable.
+   * @param {number} variableIndex The index of the variable.
+   * @returns An object with the 'dataPoint', whether it's empty ('isEmpty'), and the 'kind' ('date', 'number' or
+   * 'text') and 'value' used to sort it. The lower case 'text' and the 'comparable' value used to filter it are added
+   * by getFilterValues.
+   */
+  #getTypedDataPoint(record, variableUID, variableIndex) {
+    if (!this.typedColumns.has(variableUID)) {
+      this.typedColumns.set(variableUID, new WeakMap());
+    }
+
+    const typedColumn = this.typedColumns.get(variableUID);
+    const dataPoint = record[variableIndex];
+
+    let typedDataPoint = typedColumn.get(record);
+
+    if (!typedDataPoint || typedDataPoint.dataPoint !== dataPoint) {
+      typedDataPoint = { dataPoint: dataPoint, isEmpty: this.#isEmptyDataPoint(dataPoint), kind: 'text', value: null };
+
+      // The same rules of compareDataPoints: EU dates are compared by unix time, numeric values as numbers.
+      if (!typedDataPoint.isEmpty) {
+        if (String(dataPoint).match(this.euDateTimeRegExp)) {
+          typedDataPoint.kind = 'date';
+          typedDataPoint.value = Date.parse(date_utilities.convertEuDateInIsoDate(dataPoint));
+        } else if (!isNaN(parseFloat(dataPoint)) && isFinite(dataPoint)) {
+          typedDataPoint.kind = 'number';
+          typedDataPoint.value = parseFloat(dataPoint);
+        }
+      }
+
+      typedColumn.set(record, typedDataPoint);
+    }
+
+    return typedDataPoint;
+  }
+
+  /**
+   * Remove the diacritics (e.g. accents, cedillas) from a text, so that "José" can be matched by "Jose".
+   *
+   * @param {string} text The text to be stripped.
+   * @returns The text without the combining marks of its canonical decomposition.
+   */
+  #removeDiacritics(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Normalise a text to be filtered: lower case and, if a locale is provided, without diacritics.
+   *
+   * @param {string} text The text to be normalised.
+   * @param {string || [string]} locale The locale of the variable the text refers to (see createCollation), if any.
+   * @returns The normalised text.
+   */
+  #normalizeText(text, locale) {
+    return locale ? this.#removeDiacritics(text).toLocaleLowerCase(locale) : String(text).toLowerCase();
+  }
+
+  /**
+   * Add the values used to filter a typed data point, i.e. its normalised 'text' (see normalizeText) and its
+   * 'comparable' value (see getComparableValue), if they are missing.
+   *
+   * @param {Object} typedDataPoint The typed data point (see getTypedDataPoint).
+   * @param {string} variableType The type of the variable the data point refers to.
+   * @param {string || [string]} locale The locale of the variable the data point refers to, if any.
+   * @returns The typed data point.
+   */
+  #getFilterValues(typedDataPoint, variableType, locale) {
+    if (typedDataPoint.text === undefined) {
+      typedDataPoint.text = typedDataPoint.isEmpty ? '' : this.#normalizeText(typedDataPoint.dataPoint, locale);
+      typedDataPoint.comparable = typedDataPoint.isEmpty
+        ? NaN
+        : this.#getComparableValue(typedDataPoint.dataPoint, variableType);
+    }
+
+    return typedDataPoint;
+  }
+
+  /**
+   * Compare two typed data points (see getTypedDataPoint), with the same result of compareDataPoints.
+   *
+   * @param {Object} typedDataPointA The first typed data point to be compared.
+   * @param {Object} typedDataPointB The second typed data point to be compared.
+   * @param {Intl.Collator} collator Default: null. The collator used to compare the text (see createCollation).
+   * @returns A negative number if A comes before B, a positive number if B comes before A, otherwise 0.
+   */
+  #compareTypedDataPoints(typedDataPointA, typedDataPointB, collator = null) {
+    if (typedDataPointA.kind !== 'text' && typedDataPointA.kind === typedDataPointB.kind) {
+      const isInvalidA = isNaN(typedDataPointA.value);
+      const isInvalidB = isNaN(typedDataPointB.value);
+
+      // Invalid dates come first, as the empty data points do in a lexical comparison.
+      if (isInvalidA || isInvalidB) {
+        return isInvalidA && isInvalidB ? 0 : isInvalidA ? -1 : 1;
+      }
+
+      return typedDataPointA.value - typedDataPointB.value;
+    }
+
+    // Otherwise (text, or different kinds), the data points are compared lexically.
+    const dataPointA = typedDataPointA.isEmpty ? '' : typedDataPointA.dataPoint;
+    const dataPointB = typedDataPointB.isEmpty ? '' : typedDataPointB.dataPoint;
+
+    if (collator) {
+      return collator.compare(String(dataPointA), String(dataPointB));
+    }
+
+    return dataPointA < dataPointB ? -1 : dataPointA > dataPointB ? 1 : 0;
+  }
+
+  /**
+   * Compare two data points, using a numeric comparison for numbers and EU dates, and a lexical one otherwise.
+   *
+   * @param {string} dataPointA The first data point to be compared.
+   * @param {string} dataPointB The second data point to be compared.
+   * @param {Intl.Collator} collator Default: null. The collator used to compare the text (see createCollation).
+   * @returns A negative number if A comes before B, a positive number if B comes before A, otherwise 0.
+   */
+  #compareDataPoints(dataPointA, dataPointB, collator = null) {
+    if (dataPointA === undefined || dataPointA === null) {
+      dataPointA = '';
+    }
+
+    if (dataPointB === undefined || dataPointB === null) {
+      dataPointB = '';
+    }
+
+    if (String(dataPointA).match(this.euDateTimeRegExp) && String(dataPointB).match(this.euDateTimeRegExp)) {
+      dataPointA = Date.parse(date_utilities.convertEuDateInIsoDate(dataPointA));
+      dataPointB = Date.parse(date_utilities.convertEuDateInIsoDate(dataPointB));
+    }
+
+    // If both values are numeric, do a numeric comparison
+    if (!isNaN(parseFloat(dataPointA)) && isFinite(dataPointA) && !isNaN(parseFloat(dataPointB)) && isFinite(dataPointB)) {
+      // Convert numerical values form string to float.
+      return parseFloat(dataPointA) - parseFloat(dataPointB);
+    }
+
+    if (collator) {
+      return collator.compare(String(dataPointA), String(dataPointB));
+    }
+
+    if (dataPointA < dataPointB) {
+      return -1;
+    }
+
+    if (dataPointA > dataPointB) {
+      return 1;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Return the variables used to sort the records, ordered by their sorting priority.
+   *
+   * @returns An array of objects containing the UID, the index, the direction (1 or -1), the position of the missing
+   * values ('first' or 'last') and the collator (null if none) of each sorting key.
+   */
+  #getSortingKeys() {
+    let sortingKeys = [];
+
+    this.variables.maps.sorting.forEach((ordering, variableUID) => {
+      if (ordering && ordering != 'none') {
+        const variableIndex = variableUID ? this.variables.maps.index.get(variableUID) : -1;
+
+        if (variableIndex === undefined || variableIndex < 0) {
+          throw new Error('Error: variable NOT found.');
+        }
+
+        const priority = this.variables.maps.sortingPriority.get(variableUID);
+
+        sortingKeys.push({
+          variableUID: variableUID,
+          index: variableIndex,
+          order: ordering === 'desc' || ordering === 'descending' ? -1 : 1,
+          nulls: this.variables.maps.nulls.get(variableUID),
+          collator: this.variables.maps.collation.get(variableUID).collator,
+          // Variables without an explicit priority are applied after the prioritised ones, in the model's order.
+          priority: priority ? priority : Infinity,
+        });
+      }
+    });
+
+    // Array.prototype.sort is stable, so keys with the same priority keep the order of the sorting map.
+    return sortingKeys.sort((a, b) => (a.priority === b.priority ? 0 : a.priority < b.priority ? -1 : 1));
+  }
+
+  /**
+   * Set the ordering of a variable in the sorting map, and update the sorting priorities accordingly.
+   *
+   * @param {string} variableUID The UID of the variable to be sorted.
+   * @param {string} order Options: 'ascending'/'asc', 'descending'/'desc', 'none'.
+   * @param {boolean} append Default: false. If true, add the variable as an additional sorting key (or update its
+   * direction if already sorted), otherwise make it the only sorting key.
+   */
+  setSortingOrder(variableUID, order, append = false) {
+    if (!this.variables.maps.index.has(variableUID)) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    this.#updateSortingOrder(variableUID, order, append);
+
+    this.#emit('sorting_changed', { sorting: new Map(this.variables.maps.sorting), variableUID: variableUID });
+  }
+
+  /**
+   * Update the sorting map and the sorting priorities, without notifying the observers.
+   *
+   * @param {string} variableUID The UID of the variable to be sorted.
+   * @param {string} order Options: 'ascending'/'asc', 'descending'/'desc', 'none'.
+   * @param {boolean} append Default: false. See setSortingOrder.
+   */
+  #updateSortingOrder(variableUID, order, append = false) {
+    order = ['asc', 'ascending'].includes(order) ? 'asc' : ['desc', 'descending'].includes(order) ? 'desc' : 'none';
+
+    const sorting = this.variables.maps.sorting;
+    const sortingPriority = this.variables.maps.sortingPriority;
+
+    if (order === 'none') {
+      // Remove the variable from the sorting keys, and shift up the priority of the following ones.
+      const removedPriority = sortingPriority.get(variableUID);
+
+      sorting.set(variableUID, 'none');
+      sortingPriority.delete(variableUID);
+
+      if (removedPriority) {
+        sortingPriority.forEach((priority, uid) => {
+          if (priority > removedPriority) {
+            sortingPriority.set(uid, priority - 1);
+          }
+        });
+      }
+    } else if (append) {
+      // Keep the priority of an already sorted variable, otherwise put it at the bottom of the sorting keys.
+      if (!sortingPriority.has(variableUID)) {
+        sortingPriority.set(variableUID, sortingPriority.size + 1);
+      }
+
+      sorting.set(variableUID, order);
+    } else {
+      sorting.forEach((ordering, uid) => {
+        sorting.set(uid, 'none');
+      });
+
+      sortingPriority.clear();
+
+      sorting.set(variableUID, order);
+      sortingPriority.set(variableUID, 1);
+    }
+  }
+
+  /**
+   * Restore the sorting map (and the related priorities) according to the default order of each variable.
+   */
+  resetSortingOrder() {
+    this.variables.maps.sorting.clear();
+    this.variables.maps.sortingPriority.clear();
+
+    this.variables.maps.defaultOrder.forEach((defaultOrder, variableUID) => {
+      this.variables.maps.sorting.set(variableUID, 'none');
+
+      if (defaultOrder !== 'none') {
+        this.#updateSortingOrder(variableUID, defaultOrder, true);
+      }
+    });
+
+    this.#emit('sorting_changed', { sorting: new Map(this.variables.maps.sorting), variableUID: null });
+  }
+
+  /**
+   * Sort the records according to the DataCollection's sorting map. Variables are compared by sorting priority: when
+   * two records have the same value for a variable, the next variable is used to break the tie. Missing values are
+   * placed first or last (see the 'nulls' option), whatever the direction of the sorting.
+   *
+   * @param {[string]} records An array of array representing the records to be sorted.
+   */
+  sortRecords(records) {
+    const sortingKeys = this.#getSortingKeys();
+
+    if (sortingKeys.length === 0) {
+      return Object.assign([], records);
+    }
+
+    // The typed data points of the sorting keys are looked up once per record, not once per comparison.
+    let typedRecords = records.map((record) => {
+      return {
+        record: record,
+        typedDataPoints: sortingKeys.map((sortingKey) =>
+          this.#getTypedDataPoint(record, sortingKey.variableUID, sortingKey.index)
+        ),
+      };
+    });
+
+    typedRecords.sort((a, b) => {
+      for (let i = 0; i < sortingKeys.length; i++) {
+        const typedDataPointA = a.typedDataPoints[i];
+        const typedDataPointB = b.typedDataPoints[i];
+
+        // The dates that can't be parsed are placed along with the missing values.
+        const isEmptyA = typedDataPointA.isEmpty || (typedDataPointA.kind === 'date' && isNaN(typedDataPointA.value));
+        const isEmptyB = typedDataPointB.isEmpty || (typedDataPointB.kind === 'date' && isNaN(typedDataPointB.value));
+
+        if (isEmptyA || isEmptyB) {
+          if (isEmptyA && isEmptyB) {
+            continue;
+          }
+
+          return (isEmptyA ? -1 : 1) * (sortingKeys[i].nulls === 'first' ? 1 : -1);
+        }
+
+        const comparison = this.#compareTypedDataPoints(typedDataPointA, typedDataPointB, sortingKeys[i].collator);
+
+        if (comparison !== 0) {
+          return sortingKeys[i].order * comparison;
+        }
+      }
+
+      return 0;
+    });
+
+    return typedRecords.map((typedRecord) => typedRecord.record);
+  }
+
+  /**
+   * Convert a date (a Date object, or a EU or ISO formatted string, with or without time) in unix time (milliseconds).
+   * Both EU and ISO dates are interpreted in local time, so that they can be compared with each other.
+   *
+   * @param {string || Date} date The date to be converted.
+   * @param {boolean} endOfDay Default: false. If the date has no time, return the last millisecond of the day.
+   * @returns The unix time of the date, or NaN if the date cannot be parsed.
+   */
+  #getTimestamp(date, endOfDay = false) {
+    if (Object.prototype.toString.call(date) === '[object Date]') {
+      return date.getTime();
+    }
+
+    const dateString = String(date);
+
+    const euDate = dateString.match(/(\d{1,2})\s{0,1}\/\s{0,1}(\d{1,2})\s{0,1}\/\s{0,1}(\d{4})/);
+    const isoDate = dateString.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+
+    let dateParts = [];
+
+    if (euDate) {
+      dateParts = [euDate[3], euDate[2], euDate[1]];
+    } else if (isoDate) {
+      dateParts = [isoDate[1], isoDate[2], isoDate[3]];
+    } else {
+      return NaN;
+    }
+
+    const time = dateString.match(/(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?/);
+
+    const timestamp = new Date(
+      parseInt(dateParts[0]),
+      parseInt(dateParts[1]) - 1,
+      parseInt(dateParts[2]),
+      time ? parseInt(time[1]) : 0,
+      time ? parseInt(time[2]) : 0,
+      time && time[3] ? parseInt(time[3]) : 0
+    ).getTime();
+
+    return !time && endOfDay ? timestamp + 86400000 - 1 : timestamp;
+  }
+
+  /**
+   * Check that a date (a Date object, or a EU or ISO formatted string) refers to an existing day: the Date constructor
+   * used by getTimestamp rolls over the out of range days and months (e.g. 31/02/2021 is read as 03/03/2021).
+   *
+   * @param {string || Date} date The date to be checked.
+   * @returns True if the date is valid, false otherwise.
+   */
+  #isCalendarDate(date) {
+    if (Object.prototype.toString.call(date) === '[object Date]') {
+      return !isNaN(date.getTime());
+    }
+
+    const dateString = String(date);
+
+    const euDate = dateString.match(/(\d{1,2})\s{0,1}\/\s{0,1}(\d{1,2})\s{0,1}\/\s{0,1}(\d{4})/);
+    const isoDate = dateString.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+
+    const dateParts = euDate
+      ? [euDate[3], euDate[2], euDate[1]].map((part) => parseInt(part))
+      : isoDate
+      ? [isoDate[1], isoDate[2], isoDate[3]].map((part) => parseInt(part))
+      : null;
+
+    if (!dateParts) {
+      return false;
+    }
+
+    const day = new Date(dateParts[0], dateParts[1] - 1, dateParts[2]);
+
+    return day.getFullYear() === dateParts[0] && day.getMonth() === dateParts[1] - 1 && day.getDate() === dateParts[2];
+  }
+
+  /**
+   * Convert a value into a number that can be compared according to the type of the variable, i.e. unix time for
+   * dates and floating point numbers for everything else.
+   *
+   * @param {string} value The value to be converted.
+   * @param {string} variableType Default: 'text'. The type of the variable the value refers to.
+   * @param {boolean} endOfDay Default: false. For dates without time, return the last millisecond of the day.
+   */
+  #getComparableValue(value, variableType = 'text', endOfDay = false) {
+    if (variableType === 'eu_date' || variableType === 'iso_date') {
+      return this.#getTimestamp(value, endOfDay);
+    }
+
+    return parseFloat(value);
+  }
+
+  /**
+   * Normalise a filter, so that it can be stored in the filtering map.
+   *
+   * @param {string || Object} filter Either a string (to be searched within the data points), or an object with the
+   * 'operator', 'value' and (for 'between') 'valueTo' properties.
+   * @returns The filter object, or null if the filter is empty.
+   */
+  #parseFilter(filter) {
+    if (filter === undefined || filter === null) {
+      return null;
+    }
+
+    if (typeof filter !== 'object') {
+      filter = { operator: 'includes', value: filter };
+    }
+
+    const operator = filter.operator ? filter.operator : 'includes';
+
+    if (!this.filterOperators.includes(operator)) {
+      throw 'Data Collection Error: filter operator "' + operator + '" NOT supported.';
+    }
+
+    const value = filter.value !== undefined && filter.value !== null ? filter.value : '';
+    const valueTo = filter.valueTo !== undefined && filter.valueTo !== null ? filter.valueTo : '';
+
+    // With the exception of the 'empty'/'not_empty' operators, a filter without a value doesn't filter anything.
+    if (!['empty', 'not_empty'].includes(operator) && value === '' && valueTo === '') {
+      return null;
+    }
+
+    return { operator: operator, value: value, valueTo: valueTo };
+  }
+
+  /**
+   * Add to a filter the values it's compared with, parsed once for all the data points to be checked.
+   *
+   * @param {Object} filter The filter, as stored in the filtering map (see parseFilter).
+   * @param {string} variableType The type of the variable to be filtered.
+   * @param {string || [string]} locale Default: null. The locale of the variable to be filtered (see createCollation).
+   * @returns A copy of the filter, with the 'locale', the normalised 'text' of the value (see normalizeText), the
+   * 'pattern' of the 'regex' operator (null if invalid) and the comparable values of the bounds ('comparableValue',
+   * 'comparableValueEnd', 'comparableValueTo').
+   */
+  #prepareFilter(filter, variableType, locale = null) {
+    let pattern = null;
+
+    if (filter.operator === 'regex') {
+      try {
+        // With a locale, the pattern is matched against the text without diacritics (see matchFilter).
+        pattern = new RegExp(locale ? this.#removeDiacritics(filter.value) : filter.value, 'i');
+      } catch (error) {
+        // An incomplete/invalid pattern (e.g. while it's being typed) doesn't filter anything.
+        pattern = null;
+      }
+    }
+
+    return Object.assign({}, filter, {
+      variableType: variableType,
+      locale: locale,
+      text: this.#normalizeText(filter.value, locale),
+      pattern: pattern,
+      comparableValue: this.#getComparableValue(filter.value, variableType),
+      comparableValueEnd: this.#getComparableValue(filter.value, variableType, true),
+      comparableValueTo: this.#getComparableValue(filter.valueTo, variableType, true),
+    });
+  }
+
+  /**
+   * Check if a data point satisfies a filter.
+   *
+   * @param {Object} typedDataPoint The typed data point to be checked (see getTypedDataPoint).
+   * @param {Object} filter The filter, prepared with prepareFilter.
+   * @returns True if the data point satisfies the filter, otherwise false.
+   */
+  #matchFilter(typedDataPoint, filter) {
+    const variableType = filter.variableType;
+
+    const isEmpty = typedDataPoint.isEmpty;
+    const text = this.#getFilterValues(typedDataPoint, variableType, filter.locale).text;
+    const comparableDataPoint = typedDataPoint.comparable;
+
+    switch (filter.operator) {
+      case 'empty':
+        return isEmpty;
+
+      case 'not_empty':
+        return !isEmpty;
+
+      case 'equals':
+      case 'not_equals': {
+        const isEqual = ['number', 'eu_date', 'iso_date'].includes(variableType)
+          ? comparableDataPoint === filter.comparableValue
+          : text === filter.text;
+
+        return filter.operator === 'equals' ? isEqual : !isEqual;
+      }
+
+      case 'starts_with':
+        return text.startsWith(filter.text);
+
+      case 'regex':
+        if (!filter.pattern) {
+          return true;
+        }
+
+        return filter.pattern.test(filter.locale ? text : isEmpty ? '' : String(typedDataPoint.dataPoint));
+
+      case 'greater_than':
+      case 'after':
+        return !isEmpty && comparableDataPoint > filter.comparableValueEnd;
+
+      case 'less_than':
+      case 'before':
+        return !isEmpty && comparableDataPoint < filter.comparableValue;
+
+      case 'between':
+        // Both ends are included. A missing end leaves the range open on that side.
+        return (
+          !isEmpty &&
+          (filter.value === '' || comparableDataPoint >= filter.comparableValue) &&
+          (filter.valueTo === '' || comparableDataPoint <= filter.comparableValueTo)
+        );
+
+      default:
+        return text.includes(filter.text);
+    }
+  }
+
+  /**
+   * Set (or remove) the filter of a variable in the filtering map.
+   *
+   * @param {string} variableUID The UID of the variable to be filtered.
+   * @param {string || Object} filter Either a string (to be searched within the data points), or an object with the
+   * 'operator', 'value' and (for 'between') 'valueTo' properties. If null or empty, the filter is removed.
+   */
+  setFilter(variableUID, filter) {
+    if (!this.variables.maps.index.has(variableUID)) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    const parsedFilter = this.#parseFilter(filter);
+
+    this.variables.maps.filtering.set(variableUID, parsedFilter);
+
+    this.#emit('filtering_changed', { variableUID: variableUID, filter: parsedFilter });
+  }
+
+  /**
+   * Filter records according to the DataCollection's filtering map. Each variable's filter must be satisfied for a
+   * record to be kept.
+   *
+   * @param {[string]} records An array of arrays representing the records to be filtered.
+   */
+  filterRecords(records) {
+    let filteredRecords = Object.assign([], records);
+
+    this.variables.maps.filtering.forEach((filter, variableUID) => {
+      // Filters set directly in the filtering map (e.g. as plain strings) are normalised before being applied.
+      filter = this.#parseFilter(filter);
+
+      if (filter) {
+        const variableIndex = variableUID ? this.variables.maps.index.get(variableUID) : -1;
+        const preparedFilter = this.#prepareFilter(
+          filter,
+          this.variables.maps.types.get(variableUID),
+          this.variables.maps.collation.get(variableUID).locale
+        );
+
+        filteredRecords = filteredRecords.filter((record) => {
+          return this.#matchFilter(this.#getTypedDataPoint(record, variableUID, variableIndex), preparedFilter);
+        });
+      }
+    });
+
+    return filteredRecords;
+  }
+
+  /**
+   * Update the temporary data set by sorting and filtering the main data set according to the sorting and filtering
+   * maps, and to the query of the full-text search (see setSearch).
+   *
+   * @returns The processed records, i.e. the new temporary data set.
+   */
+  processRecords() {
+    this.temporaryDataSet = this.#searchRecords(this.filterRecords(this.sortRecords(this.dataSet)));
+
+    this.#emit('records_processed', { records: this.temporaryDataSet, total: this.dataSet.length });
+
+    return this.temporaryDataSet;
+  }
+
+  // SEARCH METHODS
+
+  /**
+   * Split a text in the tokens used by the full-text search: lower case words, without diacritics, separated by white
+   * spaces or punctuation (see tokenSeparatorRegExp).
+   *
+   * @param {string} text The text to be split.
+   * @returns An array of tokens, e.g. ['jose', 'perez', '2021'] for "José Pérez (2021)".
+   */
+  tokenize(text) {
+    return this.#removeDiacritics(text)
+      .toLowerCase()
+      .split(this.tokenSeparatorRegExp)
+      .filter((token) => token !== '');
+  }
+
+  /**
+   * Add a record to the search index, replacing its previous tokens (if any).
+   *
+   * @param {[string]} record The array representing the record.
+   */
+  #indexRecord(record) {
+    this.#unindexRecord(record);
+
+    let tokens = [];
+
+    for (const variableIndex of this.searchIndex.variableIndexes) {
+      if (!this.#isEmptyDataPoint(record[variableIndex])) {
+        tokens.push(...this.tokenize(record[variableIndex]));
+      }
+    }
+
+    this.searchIndex.records.set(record, tokens);
+
+    for (const token of tokens) {
+      if (!this.searchIndex.tokens.has(token)) {
+        this.searchIndex.tokens.set(token, new Map());
+
+        this.searchIndex.sortedTokens = null;
+      }
+
+      const occurrences = this.searchIndex.tokens.get(token);
+
+      occurrences.set(record, occurrences.has(record) ? occurrences.get(record) + 1 : 1);
+    }
+  }
+
+  /**
+   * Remove a record from the search index.
+   *
+   * @param {[string]} record The array representing the record.
+   */
+  #unindexRecord(record) {
+    const tokens = this.searchIndex.records.get(record);
+
+    if (!tokens) {
+      return;
+    }
+
+    for (const token of new Set(tokens)) {
+      const occurrences = this.searchIndex.tokens.get(token);
+
+      occurrences.delete(record);
+
+      if (occurrences.size === 0) {
+        this.searchIndex.tokens.delete(token);
+
+        this.searchIndex.sortedTokens = null;
+      }
+    }
+
+    this.searchIndex.records.delete(record);
+  }
+
+  /**
+   * Update the search index according to a change of the collection (see emit).
+   *
+   * @param {string} eventType The type of the change.
+   * @param {Object} detail The detail of the change.
+   */
+  #updateSearchIndex(eventType, detail) {
+    switch (eventType) {
+      case 'records_added':
+      case 'records_edited':
+        detail.records.forEach((record) => this.#indexRecord(record));
+        break;
+
+      case 'records_removed':
+        detail.records.forEach((record) => this.#unindexRecord(record));
+        break;
+
+      case 'variable_added':
+      case 'variable_removed':
+        // The positions of the variables within the records might change.
+        this.searchIndex.built = false;
+        break;
+    }
+  }
+
+  /**
+   * Return the search index, building it if necessary.
+   *
+   * @returns The search index (see searchIndex).
+   */
+  #getSearchIndex() {
+    if (!this.searchIndex.built) {
+      const variableUIDs = this.searchIndex.variableUIDs
+        ? this.searchIndex.variableUIDs
+        : Array.from(this.variables.maps.index.keys());
+
+      this.searchIndex.variableIndexes = variableUIDs
+        .filter((variableUID) => this.variables.maps.index.has(variableUID))
+        .map((variableUID) => this.variables.maps.index.get(variableUID));
+
+      this.searchIndex.tokens.clear();
+      this.searchIndex.records.clear();
+      this.searchIndex.sortedTokens = null;
+
+      for (const record of this.dataSet) {
+        this.#indexRecord(record);
+      }
+
+      this.searchIndex.built = true;
+    }
+
+    return this.searchIndex;
+  }
+
+  /**
+   * Build the search index of the full-text search on a set of variables. The index is then updated as the records
+   * change.
+   *
+   * @param {[string]} variableUIDs (Optional) The UIDs of the variables to be searched. If not provided, all of them.
+   */
+  createSearchIndex(variableUIDs) {
+    variableUIDs = typeof variableUIDs === 'string' ? [variableUIDs] : variableUIDs;
+
+    if (variableUIDs) {
+      for (const variableUID of variableUIDs) {
+        if (!this.variables.maps.index.has(variableUID)) {
+          throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+        }
+      }
+    }
+
+    this.searchIndex.variableUIDs = variableUIDs && variableUIDs.length > 0 ? variableUIDs : null;
+    this.searchIndex.built = false;
+
+    this.#getSearchIndex();
+  }
+
+  /**
+   * Return the tokens of the search index starting with a prefix.
+   *
+   * @param {string} prefix The prefix, i.e. a token of the query.
+   * @returns An array of tokens.
+   */
+  #getTokensByPrefix(prefix) {
+    const searchIndex = this.#getSearchIndex();
+
+    // The tokens are sorted (once per change of the index), so that the ones with the same prefix are contiguous.
+    if (!searchIndex.sortedTokens) {
+      searchIndex.sortedTokens = Array.from(searchIndex.tokens.keys()).sort();
+    }
+
+    const sortedTokens = searchIndex.sortedTokens;
+
+    let start = 0;
+    let end = sortedTokens.length;
+
+    while (start < end) {
+      const middle = (start + end) >>> 1;
+
+      if (sortedTokens[middle] < prefix) {
+        start = middle + 1;
+      } else {
+        end = middle;
+      }
+    }
+
+    let tokens = [];
+
+    for (let i = start; i < sortedTokens.length && sortedTokens[i].startsWith(prefix); i++) {
+      tokens.push(sortedTokens[i]);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Calculate the relevance of the records matching a query. Each word of the query must match (as a prefix) at least
+   * a token of the record. The score of a record is the sum of its matching tokens, weighted by their rarity (inverse
+   * document frequency) and doubled for whole words.
+   *
+   * @param {string} query The query, e.g. "jos per".
+   * @returns A Map with the score of each matching record, or null if the query doesn't contain any word.
+   */
+  #getSearchScores(query) {
+    const terms = Array.from(new Set(this.tokenize(query ? query : '')));
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const searchIndex = this.#getSearchIndex();
+
+    let scores = null;
+
+    for (const term of terms) {
+      let termScores = new Map();
+
+      for (const token of this.#getTokensByPrefix(term)) {
+        const occurrences = searchIndex.tokens.get(token);
+        const weight = Math.log(1 + searchIndex.records.size / occurrences.size) * (token === term ? 2 : 1);
+
+        occurrences.forEach((count, record) => {
+          termScores.set(record, (termScores.has(record) ? termScores.get(record) : 0) + count * weight);
+        });
+      }
+
+      // All the words of the query must match.
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        let matchingScores = new Map();
+
+        scores.forEach((score, record) => {
+          if (termScores.has(record)) {
+            matchingScores.set(record, score + termScores.get(record));
+          }
+        });
+
+        scores = matchingScores;
+      }
+
+      if (scores.size === 0) {
+        break;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Keep the records matching the query of the full-text search (if any). Unless the records are sorted by a variable,
+   * the most relevant ones come first.
+   *
+   * @param {[string]} records An array of arrays representing the records to be searched.
+   * @returns The matching records.
+   */
+  #searchRecords(records) {
+    const scores = this.#getSearchScores(this.searchQuery);
+
+    if (scores === null) {
+      return records;
+    }
+
+    const matchingRecords = records.filter((record) => scores.has(record));
+
+    if (this.#getSortingKeys().length === 0) {
+      matchingRecords.sort((a, b) => scores.get(b) - scores.get(a));
+    }
+
+    return matchingRecords;
+  }
+
+  /**
+   * Set (or remove) the query of the full-text search, applied (along with the filters) when the records are
+   * processed.
+   *
+   * @param {string} query The words to be searched. Each word must match the beginning of a word of the record, in
+   * any of the searched variables (see createSearchIndex). If empty, the search is removed.
+   */
+  setSearch(query) {
+    this.searchQuery = query ? String(query) : '';
+
+    this.#emit('filtering_changed', { variableUID: null, filter: null, search: this.searchQuery });
+  }
+
+  /**
+   * Search the records of the collection, regardless of the query set with setSearch.
+   *
+   * @param {string} query The words to be searched (see setSearch).
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set to be searched.
+   * @returns An array of `{ record, score }`, from the most relevant record.
+   */
+  search(query, type = 'initial') {
+    const scores = this.#getSearchScores(query);
+
+    if (scores === null) {
+      return [];
+    }
+
+    return this.#getTargetData(type)
+      .filter((record) => scores.has(record))
+      .map((record) => {
+        return { record: record, score: scores.get(record) };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // AGGREGATION METHODS
+
+  /**
+   * Return the records of the data collection as objects, whose keys are the source fields of the variables.
+   *
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set.
+   * @param {[string]} records (Optional) The records to be converted. If provided, the type is ignored.
+   */
+  getRawRecords(type = 'initial', records) {
+    const targetData = records ? records : this.#getTargetData(type);
+
+    return targetData.map((record) => {
+      let rawRecord = {};
+
+      this.variables.maps.uids.forEach((sourceField, variableUID) => {
+        rawRecord[sourceField] = record[this.variables.maps.index.get(variableUID)];
+      });
+
+      return rawRecord;
+    });
+  }
+
+  /**
+   * Calculate an aggregated value of a variable over a set of records. Empty data points are ignored.
+   *
+   * @param {string} variableUID The UID of the variable to be aggregated. If not provided, only 'count' is allowed
+   * and it returns the number of records.
+   * @param {string} operation Options: 'count', 'sum', 'average', 'min', 'max', 'distinct_count'.
+   * @param {[string]} records Default: the main data set. The records to be aggregated.
+   * @returns The aggregated value. For 'min' and 'max' the data point is returned as it is stored (e.g. a EU date),
+   * for the other operations a number. If there are no values to aggregate, 'average', 'min' and 'max' return null.
+   */
+  getAggregate(variableUID, operation, records) {
+    records = records ? records : this.dataSet;
+
+    if (!variableUID) {
+      if (operation === 'count') {
+        return records.length;
+      }
+
+      throw 'Data Collection Error: a variable is required for the "' + operation + '" aggregation.';
+    }
+
+    const variableIndex = this.variables.maps.index.get(variableUID);
+    const variableType = this.variables.maps.types.get(variableUID);
+
+    if (variableIndex === undefined) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    const dataPoints = records
+      .map((record) => record[variableIndex])
+      .filter((dataPoint) => !this.#isEmptyDataPoint(dataPoint));
+
+    const isDate = variableType === 'eu_date' || variableType === 'iso_date';
+
+    const collator = this.variables.maps.collation.get(variableUID).collator;
+
+    switch (operation) {
+      case 'count':
+        return dataPoints.length;
+
+      case 'distinct_count':
+        return new Set(dataPoints.map((dataPoint) => String(dataPoint))).size;
+
+      case 'sum':
+      case 'average': {
+        const numbers = dataPoints.map((dataPoint) => parseFloat(dataPoint)).filter((number) => !isNaN(number));
+
+        const sum = numbers.reduce((total, number) => total + number, 0);
+
+        if (operation === 'sum') {
+          return sum;
+        }
+
+        return numbers.length > 0 ? sum / numbers.length : null;
+      }
+
+      case 'min':
+      case 'max': {
+        let extreme = null;
+        let extremeValue = null;
+
+        for (const dataPoint of dataPoints) {
+          // Dates are compared by unix time, all the other types as numbers (where possible) or as strings.
+          const value = isDate ? this.#getTimestamp(dataPoint) : dataPoint;
+
+          const comparison = extreme === null ? 0 : this.#compareDataPoints(value, extremeValue, collator);
+
+          if (
+            extreme === null ||
+            (operation === 'min' && comparison < 0) ||
+            (operation === 'max' && comparison > 0)
+          ) {
+            extreme = dataPoint;
+            extremeValue = value;
+          }
+        }
+
+        return extreme;
+      }
+
+      default:
+        throw 'Data Collection Error: aggregation "' + operation + '" NOT supported.';
+    }
+  }
+
+  /**
+   * Group the records by one or more variables, and aggregate the other variables within each group.
+   *
+   * @param {string || [string]} groupByUIDs The UID or the UIDs of the variables used to group the records.
+   * @param {[Object]} aggregations A list of objects with the following properties: 'variable' (the UID of the
+   * variable to be aggregated, optional for 'count'), 'operation' (see getAggregate), and optionally 'uid',
+   * 'sourceField' and 'label' of the resulting variable. The source field defaults to the source field of the variable
+   * followed by the operation, e.g. 'amount_sum'.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set to be grouped.
+   * @returns A new DataCollection with a variable for each group-by variable and one for each aggregation. Its
+   * records can be rendered by a Table whose columns refer to the same source fields.
+   */
+  aggregateRecords(groupByUIDs, aggregations = [], type = 'initial') {
+    groupByUIDs = typeof groupByUIDs === 'string' ? [groupByUIDs] : groupByUIDs ? groupByUIDs : [];
+
+    const groupByIndexes = groupByUIDs.map((variableUID) => {
+      if (!this.variables.maps.index.has(variableUID)) {
+        throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+      }
+
+      return this.variables.maps.index.get(variableUID);
+    });
+
+    // The data model of the aggregated collection.
+    let dataModel = groupByUIDs.map((variableUID) => {
+      const variable = this.variables.list[this.variables.maps.index.get(variableUID)];
+
+      return {
+        uid: variableUID,
+        sourceField: this.variables.maps.uids.get(variableUID),
+        dataType: this.variables.maps.types.get(variableUID),
+        label: variable.label ? variable.label : '',
+      };
+    });
+
+    for (const aggregation of aggregations) {
+      const operation = aggregation.operation ? aggregation.operation : 'count';
+      const sourceField = aggregation.variable ? this.variables.maps.uids.get(aggregation.variable) : 'records';
+
+      if (aggregation.variable && !sourceField) {
+        throw 'Data Collection Error: variable "' + aggregation.variable + '" NOT found.';
+      }
+
+      const aggregatedSourceField = aggregation.sourceField ? aggregation.sourceField : sourceField + '_' + operation;
+
+      dataModel.push({
+        uid: aggregation.uid ? aggregation.uid : aggregatedSourceField,
+        sourceField: aggregatedSourceField,
+        // Minimum and maximum keep the type of the aggregated variable (e.g. dates), the other operations are numeric.
+        dataType: ['min', 'max'].includes(operation)
+          ? this.variables.maps.types.get(aggregation.variable)
+          : 'number',
+        label: aggregation.label ? aggregation.label : '',
+      });
+    }
+
+    // Group the records, keeping the order in which each group is first found.
+    let groups = new Map();
+
+    for (const record of this.#getTargetData(type)) {
+      const groupValues = groupByIndexes.map((index) => record[index]);
+      const groupKey = JSON.stringify(groupValues);
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { values: groupValues, records: [] });
+      }
+
+      groups.get(groupKey).records.push(record);
+    }
+
+    let rawData = [];
+
+    groups.forEach((group, groupKey) => {
+      let rawRecord = {};
+
+      groupByUIDs.forEach((variableUID, index) => {
+        rawRecord[this.variables.maps.uids.get(variableUID)] = group.values[index];
+      });
+
+      aggregations.forEach((aggregation, index) => {
+        const operation = aggregation.operation ? aggregation.operation : 'count';
+
+        rawRecord[dataModel[groupByUIDs.length + index].sourceField] = this.getAggregate(
+          aggregation.variable,
+          operation,
+          group.records
+        );
+      });
+
+      rawData.push(rawRecord);
+    });
+
+    const aggregatedCollection = new DataCollection(dataModel);
+
+    aggregatedCollection.buildDataCollection(rawData);
+
+    return aggregatedCollection;
+  }
+
+  /**
+   * Cross-tabulate the records: the distinct values of a variable become the rows, the distinct values of another
+   * variable become the columns, and each cell contains the aggregated value of a third variable.
+   *
+   * @param {string} rowUID The UID of the variable whose values are used as rows.
+   * @param {string} columnUID The UID of the variable whose values are used as columns.
+   * @param {string} valueUID The UID of the variable to be aggregated (optional for 'count').
+   * @param {string} operation Default: 'sum'. See getAggregate.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set to be pivoted.
+   * @param {boolean} totals Default: true. Add a column with the row totals and a record with the column totals.
+   * @returns A new DataCollection with the row variable (of the same type), a variable for each distinct column value
+   * (source fields: 'pivot_0', 'pivot_1', etc., labelled with the column value), the 'pivot_total' variable and the
+   * 'pivot_is_total' variable, a boolean marking the record with the column totals (whose row value is missing).
+   */
+  pivotRecords(rowUID, columnUID, valueUID, operation = 'sum', type = 'initial', totals = true) {
+    [rowUID, columnUID].forEach((variableUID) => {
+      if (!this.variables.maps.index.has(variableUID)) {
+        throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+      }
+    });
+
+    const rowIndex = this.variables.maps.index.get(rowUID);
+    const columnIndex = this.variables.maps.index.get(columnUID);
+
+    const records = this.#getTargetData(type);
+
+    // Return the distinct values of a variable, in ascending order.
+    const getDistinctValues = (variableUID, variableIndex) => {
+      const variableType = this.variables.maps.types.get(variableUID);
+      const isDate = variableType === 'eu_date' || variableType === 'iso_date';
+
+      const collator = this.variables.maps.collation.get(variableUID).collator;
+
+      return Array.from(new Set(records.map((record) => record[variableIndex]))).sort((a, b) =>
+        isDate ? this.#getTimestamp(a) - this.#getTimestamp(b) || 0 : this.#compareDataPoints(a, b, collator)
+      );
+    };
+
+    const rowValues = getDistinctValues(rowUID, rowIndex);
+    const columnValues = getDistinctValues(columnUID, columnIndex);
+
+    const valueType =
+      ['min', 'max'].includes(operation) && valueUID ? this.variables.maps.types.get(valueUID) : 'number';
+
+    const rowSourceField = this.variables.maps.uids.get(rowUID);
+    const rowVariable = this.variables.list[rowIndex];
+
+    // The data model of the pivoted collection.
+    let dataModel = [
+      {
+        uid: rowUID,
+        sourceField: rowSourceField,
+        dataType: this.variables.maps.types.get(rowUID),
+        label: rowVariable.label ? rowVariable.label : '',
+      },
+    ];
+
+    columnValues.forEach((columnValue, index) => {
+      dataModel.push({
+        uid: 'pivot_' + index,
+        sourceField: 'pivot_' + index,
+        dataType: valueType,
+        label: this.#isEmptyDataPoint(columnValue) ? '(empty)' : String(columnValue),
+      });
+    });
+
+    if (totals) {
+      dataModel.push({ uid: 'pivot_total', sourceField: 'pivot_total', dataType: valueType, label: 'Total' });
+
+      // The totals record is marked apart, so that it can't be mistaken for a row value.
+      dataModel.push({ uid: 'pivot_is_total', sourceField: 'pivot_is_total', dataType: 'boolean', label: '' });
+    }
+
+    // Group the records by row value and column value.
+    let cells = new Map();
+
+    for (const record of records) {
+      if (!cells.has(record[rowIndex])) {
+        cells.set(record[rowIndex], new Map());
+      }
+
+      const rowCells = cells.get(record[rowIndex]);
+
+      if (!rowCells.has(record[columnIndex])) {
+        rowCells.set(record[columnIndex], []);
+      }
+
+      rowCells.get(record[columnIndex]).push(record);
+    }
+
+    // Create a pivoted record from the records of a row (or from all the records, for the totals).
+    const createPivotedRecord = (rowValue, getCellRecords, rowRecords, isTotal = false) => {
+      let rawRecord = {};
+
+      rawRecord[rowSourceField] = rowValue;
+
+      columnValues.forEach((columnValue, index) => {
+        rawRecord['pivot_' + index] = this.getAggregate(valueUID, operation, getCellRecords(columnValue));
+      });
+
+      if (totals) {
+        rawRecord['pivot_total'] = this.getAggregate(valueUID, operation, rowRecords);
+        rawRecord['pivot_is_total'] = isTotal;
+      }
+
+      return rawRecord;
+    };
+
+    let rawData = rowValues.map((rowValue) => {
+      const rowCells = cells.get(rowValue);
+
+      return createPivotedRecord(
+        rowValue,
+        (columnValue) => (rowCells.has(columnValue) ? rowCells.get(columnValue) : []),
+        Array.from(rowCells.values()).flat()
+      );
+    });
+
+    if (totals) {
+      rawData.push(
+        createPivotedRecord(
+          null,
+          (columnValue) => records.filter((record) => record[columnIndex] === columnValue),
+          records,
+          true
+        )
+      );
+    }
+
+    const pivotedCollection = new DataCollection(dataModel);
+
+    pivotedCollection.buildDataCollection(rawData);
+
+    return pivotedCollection;
+  }
+
+  // STATISTICS METHODS
+
+  /**
+   * Return the value below which a given percentage of the sorted numbers falls, interpolating between the closest
+   * ranks (as the PERCENTILE.INC function of spreadsheet applications).
+   *
+   * @param {[number]} numbers The numbers, in ascending order.
+   * @param {number} percentile A number between 0 and 100.
+   */
+  #getPercentile(numbers, percentile) {
+    if (numbers.length === 0) {
+      return null;
+    }
+
+    const rank = (Math.min(Math.max(percentile, 0), 100) / 100) * (numbers.length - 1);
+    const lowerRank = Math.floor(rank);
+
+    return lowerRank + 1 < numbers.length
+      ? numbers[lowerRank] + (numbers[lowerRank + 1] - numbers[lowerRank]) * (rank - lowerRank)
+      : numbers[lowerRank];
+  }
+
+  /**
+   * Split the range of a set of numbers into bins of equal width, and count the numbers within each bin.
+   *
+   * @param {[number]} numbers The numbers, in ascending order.
+   * @param {number} bins The number of bins.
+   * @returns An array of objects with the lower ('from', included) and upper ('to', excluded, except for the last bin)
+   * bounds of each bin, and the 'count' of the numbers within it.
+   */
+  #getHistogram(numbers, bins) {
+    if (numbers.length === 0) {
+      return [];
+    }
+
+    const min = numbers[0];
+    const max = numbers[numbers.length - 1];
+
+    // All the numbers fall into a single bin when they are all equal.
+    bins = max > min ? bins : 1;
+
+    const width = (max - min) / bins;
+
+    let histogram = [];
+
+    for (let i = 0; i < bins; i++) {
+      histogram.push({ from: min + width * i, to: i + 1 === bins ? max : min + width * (i + 1), count: 0 });
+    }
+
+    for (const number of numbers) {
+      histogram[width > 0 ? Math.min(Math.floor((number - min) / width), bins - 1) : 0].count += 1;
+    }
+
+    return histogram;
+  }
+
+  /**
+   * Return the bucket of a date for a given interval.
+   *
+   * @param {Date} date The date to be bucketed.
+   * @param {string} interval Options: 'day', 'week' (ISO week, starting on Monday), 'month', 'year'.
+   * @returns An object with the 'bucket' (e.g. '2021-03-15', '2021-W11', '2021-03', '2021') and its 'start' date.
+   */
+  #getDateBucket(date, interval) {
+    const pad = (number) => String(number).padStart(2, '0');
+
+    let year = date.getFullYear();
+
+    switch (interval) {
+      case 'day':
+        return {
+          bucket: `${year}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+          start: new Date(year, date.getMonth(), date.getDate()),
+        };
+
+      case 'week': {
+        let week = date_utilities.getISOWeekNumber(new Date(date.getTime()));
+
+        // The first days of January can belong to the last week of the previous year, and the last days of
+        // December to the first week of the following year.
+        if (week < 1) {
+          year -= 1;
+          week = date_utilities.getISOWeekNumber(new Date(year, 11, 31));
+        } else if (week === 53 && new Date(year, 11, 31).getDay() >= 1 && new Date(year, 11, 31).getDay() <= 3) {
+          year += 1;
+          week = 1;
+        }
+
+        return { bucket: `${year}-W${pad(week)}`, start: date_utilities.getWeekStartDate(year, week) };
+      }
+
+      case 'month':
+        return { bucket: `${year}-${pad(date.getMonth() + 1)}`, start: new Date(year, date.getMonth(), 1) };
+
+      case 'year':
+        return { bucket: String(year), start: new Date(year, 0, 1) };
+
+      default:
+        throw 'Data Collection Error: interval "' + interval + '" NOT supported.';
+    }
+  }
+
+  /**
+   * Count the records of a date variable per day, ISO week, month or year. Missing and invalid dates are ignored.
+   *
+   * @param {string} variableUID The UID of the date variable ('eu_date' or 'iso_date').
+   * @param {string} interval Default: 'month'. Options: 'day', 'week', 'month', 'year'.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary' (e.g. the records filtered in a Table).
+   * @returns An array of objects with the 'bucket' (e.g. '2021-W11'), its 'start' date (in the ISO format) and the
+   * 'count' of the records, in chronological order. Buckets without records are left out.
+   */
+  getDateBuckets(variableUID, interval = 'month', type = 'initial') {
+    const variableIndex = this.variables.maps.index.get(variableUID);
+
+    if (variableIndex === undefined) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    let buckets = new Map();
+
+    for (const record of this.#getTargetData(type)) {
+      if (this.#isEmptyDataPoint(record[variableIndex])) {
+        continue;
+      }
+
+      const timestamp = this.#getTimestamp(record[variableIndex]);
+
+      if (isNaN(timestamp)) {
+        continue;
+      }
+
+      const dateBucket = this.#getDateBucket(new Date(timestamp), interval);
+
+      if (!buckets.has(dateBucket.bucket)) {
+        buckets.set(dateBucket.bucket, { bucket: dateBucket.bucket, start: dateBucket.start, count: 0 });
+      }
+
+      buckets.get(dateBucket.bucket).count += 1;
+    }
+
+    return Array.from(buckets.values())
+      .sort((a, b) => a.start - b.start)
+      .map((dateBucket) => {
+        const start = dateBucket.start;
+
+        return {
+          bucket: dateBucket.bucket,
+          start: [start.getFullYear(), start.getMonth() + 1, start.getDate()]
+            .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+            .join('-'),
+          count: dateBucket.count,
+        };
+      });
+  }
+
+  /**
+   * Describe the data points of a variable. All the variables report the number of values ('count'), of missing values
+   * ('nulls'), of values that don't match the type of the variable ('invalid') and of 'distinct' values. Numbers also
+   * report 'min', 'max', 'sum', 'mean', 'median', 'standardDeviation' (sample), the requested 'percentiles' and a
+   * 'histogram'. Dates also report the 'earliest' and 'latest' values and the 'buckets' of the requested interval.
+   *
+   * @param {string} variableUID The UID of the variable to be described.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary' (e.g. the records filtered in a Table).
+   * @param {Object} options (Optional) The options of the statistics:
+   * - 'percentiles' (default: [25, 50, 75]), the percentiles of the numbers (between 0 and 100);
+   * - 'bins' (default: 10), the number of bins of equal width of the histogram;
+   * - 'interval' (default: 'month'), the interval of the date buckets (see getDateBuckets).
+   * @returns An object with the statistics. Those that can't be calculated (e.g. the mean of no numbers) are null.
+   */
+  getStatistics(variableUID, type = 'initial', options = {}) {
+    const variableIndex = this.variables.maps.index.get(variableUID);
+    const variableType = this.variables.maps.types.get(variableUID);
+
+    if (variableIndex === undefined) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    const percentiles = options && Array.isArray(options.percentiles) ? options.percentiles : [25, 50, 75];
+    const bins = options && Number.isInteger(options.bins) && options.bins > 0 ? options.bins : 10;
+    const interval = options && options.interval ? options.interval : 'month';
+
+    const records = this.#getTargetData(type);
+
+    const dataPoints = records
+      .map((record) => record[variableIndex])
+      .filter((dataPoint) => !this.#isEmptyDataPoint(dataPoint));
+
+    let statistics = {
+      variableUID: variableUID,
+      dataType: variableType,
+      records: records.length,
+      count: dataPoints.length,
+      nulls: records.length - dataPoints.length,
+      invalid: 0,
+      distinct: new Set(dataPoints.map((dataPoint) => String(dataPoint))).size,
+    };
+
+    if (variableType === 'number') {
+      const numbers = dataPoints
+        .map((dataPoint) => parseFloat(dataPoint))
+        .filter((number) => !isNaN(number))
+        .sort((a, b) => a - b);
+
+      const sum = numbers.reduce((total, number) => total + number, 0);
+      const mean = numbers.length > 0 ? sum / numbers.length : null;
+
+      const variance =
+        numbers.length > 1
+          ? numbers.reduce((total, number) => total + Math.pow(number - mean, 2), 0) / (numbers.length - 1)
+          : null;
+
+      let percentileValues = {};
+
+      for (const percentile of percentiles) {
+        percentileValues[percentile] = this.#getPercentile(numbers, percentile);
+      }
+
+      Object.assign(statistics, {
+        count: numbers.length,
+        invalid: dataPoints.length - numbers.length,
+        min: numbers.length > 0 ? numbers[0] : null,
+        max: numbers.length > 0 ? numbers[numbers.length - 1] : null,
+        sum: sum,
+        mean: mean,
+        median: this.#getPercentile(numbers, 50),
+        standardDeviation: variance !== null ? Math.sqrt(variance) : null,
+        percentiles: percentileValues,
+        histogram: this.#getHistogram(numbers, bins),
+      });
+    } else if (variableType === 'eu_date' || variableType === 'iso_date') {
+      let earliest = null;
+      let latest = null;
+      let validDates = 0;
+
+      for (const dataPoint of dataPoints) {
+        const timestamp = this.#getTimestamp(dataPoint);
+
+        if (isNaN(timestamp)) {
+          continue;
+        }
+
+        validDates += 1;
+
+        if (earliest === null || timestamp < earliest.timestamp) {
+          earliest = { timestamp: timestamp, dataPoint: dataPoint };
+        }
+
+        if (latest === null || timestamp > latest.timestamp) {
+          latest = { timestamp: timestamp, dataPoint: dataPoint };
+        }
+      }
+
+      Object.assign(statistics, {
+        count: validDates,
+        invalid: dataPoints.length - validDates,
+        earliest: earliest ? earliest.dataPoint : null,
+        latest: latest ? latest.dataPoint : null,
+        interval: interval,
+        buckets: this.getDateBuckets(variableUID, interval, type),
+      });
+    }
+
+    return statistics;
+  }
+
+  // JOIN METHODS
+
+  /**
+   * Combine the records of the collection with those of another collection, matching them by the data points of a
+   * key variable of each collection (compared as text). A record matching more than one record of the other collection
+   * is repeated for each match.
+   *
+   * @param {DataCollection} collection The collection to be joined, e.g. the customers of a collection of orders.
+   * @param {string} variableUID The UID of the key variable of this collection.
+   * @param {string} joinedVariableUID Default: the same UID. The UID of the key variable of the other collection.
+   * @param {string} join Default: 'inner'. Options: 'inner' (only the records with a match), 'left' (all the records
+   * of this collection, with missing values when there is no match).
+   * @param {Object} prefixes (Optional) The prefixes added to the UIDs and source fields that are found in both
+   * collections: 'left' (default: '') for this collection, 'right' (default: 'joined_') for the other one.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data sets to be joined.
+   * @returns A new DataCollection with the variables of this collection followed by those of the other collection,
+   * except its key variable. Its records can be rendered by a Table whose columns refer to the same source fields.
+   */
+  joinRecords(
+    collection,
+    variableUID,
+    joinedVariableUID = variableUID,
+    join = 'inner',
+    prefixes = {},
+    type = 'initial'
+  ) {
+    if (!(collection instanceof DataCollection)) {
+      throw 'Data Collection Error: the collection to be joined is missing or invalid.';
+    }
+
+    if (!['inner', 'left'].includes(join)) {
+      throw 'Data Collection Error: join "' + join + '" NOT supported.';
+    }
+
+    if (!this.variables.maps.index.has(variableUID)) {
+      throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+    }
+
+    if (!collection.variables.maps.index.has(joinedVariableUID)) {
+      throw 'Data Collection Error: variable "' + joinedVariableUID + '" NOT found in the collection to be joined.';
+    }
+
+    const leftPrefix = prefixes && prefixes.left ? prefixes.left : '';
+    const rightPrefix = prefixes && prefixes.right ? prefixes.right : 'joined_';
+
+    // The variables of both collections, as { variableUID, sourceField, dataType, index, variable }.
+    const getVariables = (dataCollection, excludedUID) => {
+      let variables = [];
+
+      dataCollection.variables.maps.index.forEach((index, uid) => {
+        if (uid !== excludedUID) {
+          variables.push({
+            variableUID: uid,
+            sourceField: dataCollection.variables.maps.uids.get(uid),
+            dataType: dataCollection.variables.maps.types.get(uid),
+            index: index,
+            variable: dataCollection.variables.list[index],
+          });
+        }
+      });
+
+      return variables;
+    };
+
+    const leftVariables = getVariables(this);
+    const rightVariables = getVariables(collection, joinedVariableUID);
+
+    // Add the prefixes to the UIDs and source fields found in both collections.
+    const leftUIDs = new Set(leftVariables.map((variable) => variable.variableUID));
+    const leftSourceFields = new Set(leftVariables.map((variable) => variable.sourceField));
+    const rightUIDs = new Set(rightVariables.map((variable) => variable.variableUID));
+    const rightSourceFields = new Set(rightVariables.map((variable) => variable.sourceField));
+
+    const createVariable = (variable, prefix, otherUIDs, otherSourceFields) => {
+      return {
+        uid: (otherUIDs.has(variable.variableUID) ? prefix : '') + variable.variableUID,
+        sourceField: (otherSourceFields.has(variable.sourceField) ? prefix : '') + variable.sourceField,
+        dataType: variable.dataType,
+        label: variable.variable.label ? variable.variable.label : '',
+      };
+    };
+
+    const dataModel = leftVariables
+      .map((variable) => createVariable(variable, leftPrefix, rightUIDs, rightSourceFields))
+      .concat(rightVariables.map((variable) => createVariable(variable, rightPrefix, leftUIDs, leftSourceFields)));
+
+    const uids = new Set(dataModel.map((variable) => variable.uid));
+    const sourceFields = new Set(dataModel.map((variable) => variable.sourceField));
+
+    if (uids.size < dataModel.length || sourceFields.size < dataModel.length) {
+      throw 'Data Collection Error: the prefixes do NOT resolve the clashes between the variables of the collections.';
+    }
+
+    // Index the records of the other collection by key.
+    const joinedKeyIndex = collection.variables.maps.index.get(joinedVariableUID);
+
+    let joinedRecords = new Map();
+
+    for (const record of collection.#getTargetData(type)) {
+      if (!collection.#isEmptyDataPoint(record[joinedKeyIndex])) {
+        const key = String(record[joinedKeyIndex]);
+
+        if (!joinedRecords.has(key)) {
+          joinedRecords.set(key, []);
+        }
+
+        joinedRecords.get(key).push(record);
+      }
+    }
+
+    const keyIndex = this.variables.maps.index.get(variableUID);
+
+    const createRawRecord = (record, joinedRecord) => {
+      let rawRecord = {};
+
+      leftVariables.forEach((variable, index) => {
+        rawRecord[dataModel[index].sourceField] = record[variable.index];
+      });
+
+      rightVariables.forEach((variable, index) => {
+        rawRecord[dataModel[leftVariables.length + index].sourceField] = joinedRecord
+          ? joinedRecord[variable.index]
+          : null;
+      });
+
+      return rawRecord;
+    };
+
+    let rawData = [];
+
+    for (const record of this.#getTargetData(type)) {
+      const key = this.#isEmptyDataPoint(record[keyIndex]) ? null : String(record[keyIndex]);
+      const matches = key !== null ? joinedRecords.get(key) : undefined;
+
+      if (matches) {
+        for (const joinedRecord of matches) {
+          rawData.push(createRawRecord(record, joinedRecord));
+        }
+      } else if (join === 'left') {
+        rawData.push(createRawRecord(record, null));
+      }
+    }
+
+    const joinedCollection = new DataCollection(dataModel, { nulls: this.nulls, locale: this.locale });
+
+    joinedCollection.buildDataCollection(rawData);
+
+    return joinedCollection;
+  }
+
+  // DUPLICATE METHODS
+
+  /**
+   * Normalise a data point to be compared with the others when looking for fuzzy duplicates: lower case, without
+   * diacritics, with punctuation and consecutive white spaces replaced by a single space.
+   *
+   * @param {string} dataPoint The data point to be normalised.
+   * @returns The normalised text.
+   */
+  #normalizeFuzzyText(dataPoint) {
+    return this.tokenize(dataPoint).join(' ');
+  }
+
+  /**
+   * Calculate the edit (Levenshtein) distance between two texts, i.e. the number of characters to be inserted,
+   * deleted or replaced to turn one into the other. The calculation stops as soon as the distance exceeds the maximum.
+   *
+   * @param {string} textA The first text.
+   * @param {string} textB The second text.
+   * @param {number} maxDistance The maximum distance of interest.
+   * @returns The distance, or maxDistance + 1 if it's greater than maxDistance.
+   */
+  #getEditDistance(textA, textB, maxDistance) {
+    if (Math.abs(textA.length - textB.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    // Only the cells within maxDistance from the diagonal are calculated: the others exceed the maximum anyway.
+    let previousRow = new Array(textB.length + 1);
+    let currentRow = new Array(textB.length + 1);
+
+    for (let b = 0; b <= textB.length; b++) {
+      previousRow[b] = Math.min(b, maxDistance + 1);
+    }
+
+    for (let a = 1; a <= textA.length; a++) {
+      const start = Math.max(1, a - maxDistance);
+      const end = Math.min(textB.length, a + maxDistance);
+
+      currentRow[start - 1] = start === 1 ? Math.min(a, maxDistance + 1) : maxDistance + 1;
+
+      let rowMinimum = currentRow[start - 1];
+
+      for (let b = start; b <= end; b++) {
+        const cost = textA[a - 1] === textB[b - 1] ? 0 : 1;
+
+        currentRow[b] = Math.min(previousRow[b] + 1, currentRow[b - 1] + 1, previousRow[b - 1] + cost);
+
+        rowMinimum = Math.min(rowMinimum, currentRow[b]);
+      }
+
+      if (end < textB.length) {
+        currentRow[end + 1] = maxDistance + 1;
+      }
+
+      // The distance can't decrease in the following rows.
+      if (rowMinimum > maxDistance) {
+        return maxDistance + 1;
+      }
+
+      [previousRow, currentRow] = [currentRow, previousRow];
+    }
+
+    return Math.min(previousRow[textB.length], maxDistance + 1);
+  }
+
+  /**
+   * Find the clusters of candidate duplicates, i.e. the records with the same data points for a set of variables
+   * (exact duplicates) and similar data points for another set of variables (fuzzy duplicates). Fuzzy data points are
+   * normalised (see normalizeFuzzyText) and similar if their edit distance doesn't exceed the maximum. Similarity is
+   * transitive: if A is similar to B and B to C, the three records are in the same cluster. Records with a missing
+   * data point for any of the variables are ignored.
+   *
+   * Only the records with the same exact data points are compared with each other, so at least one exact variable
+   * (e.g. the postcode of a contact) is recommended for large data sets.
+   *
+   * @param {[string]} variableUIDs Default: []. The UIDs of the variables whose data points must be the same.
+   * @param {[string]} fuzzyVariableUIDs Default: []. The UIDs of the variables whose data points must be similar.
+   * @param {number} maxDistance Default: 1. The maximum edit distance between similar data points, for each variable.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set to be checked.
+   * @returns An array of clusters, each an array of two or more records in the order of the data set. The clusters are
+   * ordered by their first record.
+   */
+  findDuplicates(variableUIDs = [], fuzzyVariableUIDs = [], maxDistance = 1, type = 'initial') {
+    variableUIDs = typeof variableUIDs === 'string' ? [variableUIDs] : variableUIDs;
+    fuzzyVariableUIDs = typeof fuzzyVariableUIDs === 'string' ? [fuzzyVariableUIDs] : fuzzyVariableUIDs;
+
+    if (variableUIDs.length === 0 && fuzzyVariableUIDs.length === 0) {
+      throw 'Data Collection Error: at least one variable is required to find the duplicates.';
+    }
+
+    if (!Number.isInteger(maxDistance) || maxDistance < 0) {
+      throw 'Data Collection Error: the maximum distance must be a non-negative integer.';
+    }
+
+    const getVariableIndex = (variableUID) => {
+      const variableIndex = this.variables.maps.index.get(variableUID);
+
+      if (variableIndex === undefined) {
+        throw 'Data Collection Error: variable "' + variableUID + '" NOT found.';
+      }
+
+      return variableIndex;
+    };
+
+    const variableIndexes = variableUIDs.map(getVariableIndex);
+    const fuzzyVariableIndexes = fuzzyVariableUIDs.map(getVariableIndex);
+
+    const records = this.#getTargetData(type);
+
+    // Group the positions of the records by their exact data points, and then by their normalised fuzzy data points:
+    // the records with the same normalised text (i.e. the same variant) are duplicates without being compared.
+    let groups = new Map();
+
+    records.forEach((record, position) => {
+      if (variableIndexes.some((variableIndex) => this.#isEmptyDataPoint(record[variableIndex]))) {
+        return;
+      }
+
+      const texts = fuzzyVariableIndexes.map((variableIndex) =>
+        this.#isEmptyDataPoint(record[variableIndex]) ? '' : this.#normalizeFuzzyText(record[variableIndex])
+      );
+
+      if (texts.includes('')) {
+        return;
+      }
+
+      const key = JSON.stringify(variableIndexes.map((variableIndex) => String(record[variableIndex])));
+      const variantKey = JSON.stringify(texts);
+
+      if (!groups.has(key)) {
+        groups.set(key, new Map());
+      }
+
+      const variants = groups.get(key);
+
+      if (!variants.has(variantKey)) {
+        variants.set(variantKey, { texts: texts, positions: [], parent: null });
+      }
+
+      variants.get(variantKey).positions.push(position);
+    });
+
+    // The variants are merged with the similar ones, through their root (i.e. the first variant of their cluster).
+    const getRoot = (variant) => {
+      while (variant.parent) {
+        variant = variant.parent;
+      }
+
+      return variant;
+    };
+
+    let clusters = [];
+
+    groups.forEach((variants) => {
+      variants = Array.from(variants.values());
+
+      for (let a = 0; a < variants.length; a++) {
+        for (let b = a + 1; b < variants.length; b++) {
+          const rootA = getRoot(variants[a]);
+          const rootB = getRoot(variants[b]);
+
+          if (
+            rootA !== rootB &&
+            variants[a].texts.every(
+              (text, index) => this.#getEditDistance(text, variants[b].texts[index], maxDistance) <= maxDistance
+            )
+          ) {
+            rootB.parent = rootA;
+          }
+        }
+      }
+
+      let groupClusters = new Map();
+
+      for (const variant of variants) {
+        const root = getRoot(variant);
+
+        if (!groupClusters.has(root)) {
+          groupClusters.set(root, []);
+        }
+
+        groupClusters.get(root).push(...variant.positions);
+      }
+
+      groupClusters.forEach((positions) => {
+        if (positions.length > 1) {
+          clusters.push(positions.sort((a, b) => a - b));
+        }
+      });
+    });
+
+    clusters.sort((a, b) => a[0] - b[0]);
+
+    return clusters.map((positions) => positions.map((position) => records[position]));
+  }
+
+  /**
+   * Remove the duplicates from the data set, keeping the first record of each cluster. The removal can be undone.
+   *
+   * @param {[[string]]} clusters The clusters of duplicates, e.g. as returned by findDuplicates and then reviewed.
+   * @returns The removed records.
+   */
+  removeDuplicates(clusters) {
+    let removedRecords = new Set();
+
+    for (const cluster of clusters) {
+      for (const record of cluster.slice(1)) {
+        if (record !== cluster[0]) {
+          removedRecords.add(record);
+        }
+      }
+    }
+
+    return this.removeRecords(Array.from(removedRecords));
+  }
+
+  // SNAPSHOT METHODS
+
+  /**
+   * Serialise the collection (options, data model, maps of the variables, records and processed records) in a
+   * versioned JSON document, to be restored with deserialize. Maps are stored as `{ "$map": [entries] }` and regular
+   * expressions as `{ "$regexp": [source, flags] }`. No code is serialised: the compute functions are replaced with
+   * `true`, and they are provided again when the snapshot is restored (see deserialize). The history of the changes is
+   * not serialised.
+   *
+   * @returns The JSON document representing the snapshot of the collection.
+   */
+  serialize() {
+    const positions = new Map(this.dataSet.map((record, index) => [record, index]));
+
+    // The computed functions and the collators are created again from the data model.
+    let maps = {};
+
+    for (const mapName in this.variables.maps) {
+      if (!['computed', 'collation'].includes(mapName)) {
+        maps[mapName] = this.variables.maps[mapName];
+      }
+    }
+
+    const snapshot = {
+      format: 'forefront-data-collection',
+      version: snapshotVersion,
+      created: new Date().toISOString(),
+      options: {
+        historySize: this.history.size,
+        validation: this.validation,
+        nulls: this.nulls,
+        locale: this.locale,
+        flatten: this.flatten,
+      },
+      dataModel: this.variables.list.map((variable) => {
+        return variable.compute ? Object.assign({}, variable, { compute: true }) : variable;
+      }),
+      maps: maps,
+      records: this.dataSet,
+      temporary: this.temporaryDataSet.map((record) => positions.get(record)).filter((position) => {
+        return position !== undefined;
+      }),
+    };
+
+    return JSON.stringify(snapshot, (key, value) => {
+      if (value instanceof Map) {
+        return { $map: Array.from(value) };
+      }
+
+      if (value instanceof RegExp) {
+        return { $regexp: [value.source, value.flags] };
+      }
+
+      return value;
+    });
+  }
+
+  /**
+   * Restore a snapshot created with serialize, replacing the options, the variables and the records of the collection.
+   * The maps derived from the data model are created again, and the sorting and filtering maps restored. The history
+   * of the changes is cleared. The compute functions are never taken from the snapshot.
+   *
+   * @param {string || Object} snapshot The JSON document returned by serialize (or the object it represents).
+   * @param {Object} computeFunctions (Optional) The compute functions of the computed variables, keyed by variable UID.
+   * By default, the ones of the collection's variables with the same UID. A snapshot whose computed variables have no
+   * function is rejected.
+   * @returns The collection itself.
+   */
+  deserialize(snapshot, computeFunctions = {}) {
+    if (typeof snapshot === 'string') {
+      try {
+        snapshot = JSON.parse(snapshot, (key, value) => {
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            if (Array.isArray(value.$map)) {
+              return new Map(value.$map);
+            }
+
+            if (Array.isArray(value.$regexp)) {
+              return new RegExp(value.$regexp[0], value.$regexp[1]);
+            }
+          }
+
+          return value;
+        });
+      } catch (error) {
+        throw 'Data Collection Error: the snapshot is NOT valid JSON.';
+      }
+    }
+
+    if (!snapshot || snapshot.format !== 'forefront-data-collection' || !Array.isArray(snapshot.dataModel)) {
+      throw 'Data Collection Error: snapshot NOT found or invalid.';
+    }
+
+    if (!Number.isInteger(snapshot.version) || snapshot.version > snapshotVersion) {
+      throw 'Data Collection Error: snapshot version "' + snapshot.version + '" NOT supported.';
+    }
+
+    const getVariableUID = (variable, index) => (variable.uid ? variable.uid : 'var_uid_' + index);
+
+    // The compute functions of the collection's current data model (compiled from their source code, if necessary,
+    // when the collection is not built yet), used unless others are provided.
+    let liveComputeFunctions = new Map(this.variables.maps.computed);
+
+    this.variables.list.forEach((variable, index) => {
+      const variableUID = getVariableUID(variable, index);
+
+      if (variable.compute && !liveComputeFunctions.has(variableUID)) {
+        liveComputeFunctions.set(variableUID, this.#getComputeFunction(variable, variableUID));
+      }
+    });
+
+    computeFunctions = computeFunctions ? computeFunctions : {};
+
+    const dataModel = snapshot.dataModel.map((variable, index) => {
+      if (!variable || !variable.compute) {
+        return variable;
+      }
+
+      const variableUID = getVariableUID(variable, index);
+
+      const compute =
+        typeof computeFunctions[variableUID] === 'function'
+          ? computeFunctions[variableUID]
+          : liveComputeFunctions.get(variableUID);
+
+      if (typeof compute !== 'function') {
+        throw 'Data Collection Error: the compute function of "' + variableUID + '" is missing.';
+      }
+
+      return Object.assign({}, variable, { compute: compute });
+    });
+
+    const options = snapshot.options ? snapshot.options : {};
+
+    this.history.size = Number.isInteger(options.historySize) ? options.historySize : this.history.size;
+    this.validation = ['none', 'report', 'strict'].includes(options.validation) ? options.validation : 'none';
+    this.nulls = ['first', 'last'].includes(options.nulls) ? options.nulls : 'last';
+    this.locale = options.locale ? this.#parseLocale(options.locale) : null;
+    this.flatten = options.flatten ? options.flatten : null;
+
+    const removedRecords = this.dataSet;
+
+    this.variables.list = dataModel;
+    this.variables.size = dataModel.length;
+
+    this.#createVariablesMaps();
+
+    const maps = snapshot.maps ? snapshot.maps : {};
+
+    for (const mapName of ['sorting', 'sortingPriority', 'filtering']) {
+      if (maps[mapName] instanceof Map) {
+        maps[mapName].forEach((value, variableUID) => {
+          if (this.variables.maps.index.has(variableUID)) {
+            this.variables.maps[mapName].set(variableUID, value);
+          }
+        });
+      }
+    }
+
+    // The records are restored as they are, as they were already parsed.
+    this.dataSet = Array.isArray(snapshot.records) ? snapshot.records : [];
+
+    this.#indexRecords();
+
+    this.clearHistory();
+
+    if (Array.isArray(snapshot.temporary)) {
+      this.temporaryDataSet = snapshot.temporary
+        .map((position) => this.dataSet[position])
+        .filter((record) => record !== undefined);
+    } else {
+      this.temporaryDataSet = Object.assign([], this.dataSet);
+    }
+
+    this.#emit('snapshot_restored', { records: Object.assign([], this.dataSet), removedRecords: removedRecords });
+
+    return this;
+  }
+
+  /**
+   * Store a snapshot of the collection (see serialize) in the browser, e.g. to restore it when navigating back to the
+   * page.
+   *
+   * @param {string} key The key of the snapshot.
+   * @param {Object} options (Optional) 'storage' (default: 'localStorage'), where to store the snapshot:
+   * 'localStorage', 'indexedDB'; 'expiry' (default: none), the number of milliseconds after which the snapshot is
+   * discarded.
+   * @returns A promise resolved when the snapshot is stored, or rejected if it can't be (e.g. the storage is full).
+   */
+  saveSnapshot(key, options = {}) {
+    return storage_utilities.setStoredItem(key, this.serialize(), options);
+  }
+
+  /**
+   * Restore a snapshot of the collection stored with saveSnapshot.
+   *
+   * @param {string} key The key of the snapshot.
+   * @param {string} storage Default: 'localStorage'. Options: 'localStorage', 'indexedDB'.
+   * @param {Object} computeFunctions (Optional) The compute functions of the computed variables (see deserialize).
+   * @returns A promise resolved with true if the snapshot was restored, or false if it's missing or expired.
+   */
+  loadSnapshot(key, storage = 'localStorage', computeFunctions = {}) {
+    return storage_utilities.getStoredItem(key, storage).then((snapshot) => {
+      if (snapshot === null) {
+        return false;
+      }
+
+      this.deserialize(snapshot, computeFunctions);
+
+      return true;
+    });
+  }
+
+  /**
+   * Remove a snapshot of the collection stored with saveSnapshot.
+   *
+   * @param {string} key The key of the snapshot.
+   * @param {string} storage Default: 'localStorage'. Options: 'localStorage', 'indexedDB'.
+   * @returns A promise resolved when the snapshot is removed.
+   */
+  removeSnapshot(key, storage = 'localStorage') {
+    return storage_utilities.removeStoredItem(key, storage);
+  }
+
+  // ASYNCHRONOUS METHODS
+
+  /**
+   * Return the Web Worker declared with the 'worker' option, starting it if necessary.
+   *
+   * @returns The Worker, or null if there is no worker or it can't be started (e.g. Web Workers are not supported).
+   */
+  #getWorker() {
+    if (!this.worker.instance && this.worker.source) {
+      let instance = null;
+
+      try {
+        if (typeof Worker === 'undefined') {
+          instance = null;
+        } else if (this.worker.source instanceof Worker) {
+          instance = this.worker.source;
+        } else {
+          const url = this.worker.source === true ? toolkitScriptURL : this.worker.source;
+
+          instance = url ? new Worker(url) : null;
+        }
+      } catch (error) {
+        // The worker can't be started, e.g. the script is blocked by the Content Security Policy.
+        instance = null;
+      }
+
+      if (!instance) {
+        // From now on, the tasks run in the main thread.
+        this.worker.source = null;
+
+        return null;
+      }
+
+      instance.addEventListener('message', (event) => {
+        this.#handleWorkerMessage(event.data);
+      });
+
+      instance.addEventListener('error', (event) => {
+        this.#handleWorkerError(event);
+      });
+
+      this.worker.instance = instance;
+      this.worker.revision = null;
+    }
+
+    return this.worker.instance;
+  }
+
+  /**
+   * Complete the request the Web Worker has responded to, converting the result of the task.
+   *
+   * @param {Object} message The message posted by the worker: 'id', 'collectionID', and 'result' or 'error'.
+   */
+  #handleWorkerMessage(message) {
+    if (!message || message.collectionID !== this.id || !this.worker.requests.has(message.id)) {
+      return;
+    }
+
+    const request = this.worker.requests.get(message.id);
+
+    this.worker.requests.delete(message.id);
+
+    if (message.error) {
+      request.reject(message.error);
+
+      return;
+    }
+
+    switch (request.task) {
+      case 'processRecords': {
+        if (request.revision !== this.revision) {
+          // The records changed while they were processed: process them again.
+          this.#runTask(request.task, request.args).then(request.resolve, request.reject);
+
+          return;
+        }
+
+        this.temporaryDataSet = message.result.positions.map((position) => this.dataSet[position]);
+
+        this.#emit('records_processed', { records: this.temporaryDataSet, total: this.dataSet.length });
+
+        request.resolve(this.temporaryDataSet);
+
+        break;
+      }
+
+      case 'aggregateRecords':
+      case 'pivotRecords': {
+        const collection = new DataCollection(message.result.dataModel);
+
+        collection.buildDataCollection(message.result.rawData);
+
+        request.resolve(collection);
+
+        break;
+      }
+
+      default:
+        request.resolve(message.result.value);
+    }
+  }
+
+  /**
+   * Stop using a Web Worker that can't be loaded or has crashed, and run its pending tasks in the main thread.
+   *
+   * @param {Event} event The error event of the worker.
+   */
+  #handleWorkerError(event) {
+    this.terminateWorker();
+
+    this.worker.source = null;
+  }
+
+  /**
+   * Run a task (i.e. a method of the collection) in the Web Worker, or in the main thread if there is no worker.
+   *
+   * @param {string} task The name of the method: 'processRecords', 'aggregateRecords', 'pivotRecords', 'getStatistics'.
+   * @param {Array} args The arguments of the method.
+   * @param {string} type Default: 'initial'. The type of the data set used by the task ('temporary' requires the
+   * records of the temporary data set to be sent to the worker).
+   * @returns A promise resolved with the value returned by the method.
+   */
+  #runTask(task, args, type = 'initial') {
+    const worker = this.#getWorker();
+
+    if (!worker) {
+      return new Promise((resolve) => resolve(this[task](...args)));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.worker.requestsCounter += 1;
+
+      const id = this.worker.requestsCounter;
+
+      // The records are sent only if the worker doesn't have their current revision.
+      const outdated = this.worker.revision !== this.revision;
+
+      let temporary = null;
+
+      if (type === 'temporary') {
+        const positions = new Map(this.dataSet.map((record, index) => [record, index]));
+
+        temporary = this.temporaryDataSet.map((record) => positions.get(record)).filter((position) => {
+          return position !== undefined;
+        });
+      }
+
+      let dataModel = [];
+
+      this.variables.maps.index.forEach((index, variableUID) => {
+        const variable = this.variables.list[index];
+        const collation = this.variables.maps.collation.get(variableUID);
+
+        dataModel[index] = {
+          uid: variableUID,
+          sourceField: this.variables.maps.uids.get(variableUID),
+          dataType: this.variables.maps.types.get(variableUID),
+          nulls: this.variables.maps.nulls.get(variableUID),
+          // The locale of the variable is sent as it's resolved (false if none).
+          locale: collation.locale ? collation.locale : false,
+          naturalOrder: variable.naturalOrder === true,
+          label: variable.label ? variable.label : '',
+        };
+      });
+
+      try {
+        worker.postMessage({
+          id: id,
+          collectionID: this.id,
+          revision: this.revision,
+          task: task,
+          args: args,
+          dataModel: outdated ? dataModel : null,
+          nulls: this.nulls,
+          locale: this.locale,
+          records: outdated ? this.dataSet : null,
+          sorting: Array.from(this.variables.maps.sorting),
+          sortingPriority: Array.from(this.variables.maps.sortingPriority),
+          filtering: Array.from(this.variables.maps.filtering),
+          search: { query: this.searchQuery, variableUIDs: this.searchIndex.variableUIDs },
+          temporary: temporary,
+        });
+      } catch (error) {
+        // The records can't be copied to the worker (e.g. they contain functions): run the task in the main thread.
+        resolve(this[task](...args));
+
+        return;
+      }
+
+      this.worker.revision = this.revision;
+
+      // The task is run in the main thread if the worker fails.
+      this.worker.requests.set(id, {
+        task: task,
+        args: args,
+        revision: this.revision,
+        resolve: resolve,
+        reject: reject,
+        fallback: () => this[task](...args),
+      });
+    });
+  }
+
+  /**
+   * Stop the Web Worker (if started by the collection), and run the pending tasks in the main thread. The worker is
+   * started again by the next asynchronous task.
+   */
+  terminateWorker() {
+    const instance = this.worker.instance;
+
+    if (instance && instance !== this.worker.source) {
+      instance.terminate();
+    }
+
+    this.worker.instance = null;
+    this.worker.revision = null;
+
+    const requests = Array.from(this.worker.requests.values());
+
+    this.worker.requests.clear();
+
+    for (const request of requests) {
+      try {
+        request.resolve(request.fallback());
+      } catch (error) {
+        request.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Sort and filter the data set as processRecords, in a Web Worker (see the 'worker' option), so that large data sets
+   * don't block the page. If the records change while they are processed, they are processed again.
+   *
+   * @returns A promise resolved with the processed records, i.e. the new temporary data set.
+   */
+  processRecordsAsync() {
+    return this.#runTask('processRecords', []);
+  }
+
+  /**
+   * Group and aggregate the records as aggregateRecords, in a Web Worker (see the 'worker' option).
+   *
+   * @param {string || [string]} groupByUIDs The UID or the UIDs of the variables used to group the records.
+   * @param {[Object]} aggregations See aggregateRecords.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set to be grouped.
+   * @returns A promise resolved with the aggregated DataCollection.
+   */
+  aggregateRecordsAsync(groupByUIDs, aggregations = [], type = 'initial') {
+    return this.#runTask('aggregateRecords', [groupByUIDs, aggregations, type], type);
+  }
+
+  /**
+   * Cross-tabulate the records as pivotRecords, in a Web Worker (see the 'worker' option).
+   *
+   * @param {string} rowUID The UID of the variable whose values are used as rows.
+   * @param {string} columnUID The UID of the variable whose values are used as columns.
+   * @param {string} valueUID The UID of the variable to be aggregated (optional for 'count').
+   * @param {string} operation Default: 'sum'. See getAggregate.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'. The type of the data set to be pivoted.
+   * @param {boolean} totals Default: true. Add a column with the row totals and a record with the column totals.
+   * @returns A promise resolved with the pivoted DataCollection.
+   */
+  pivotRecordsAsync(rowUID, columnUID, valueUID, operation = 'sum', type = 'initial', totals = true) {
+    return this.#runTask('pivotRecords', [rowUID, columnUID, valueUID, operation, type, totals], type);
+  }
+
+  /**
+   * Describe the data points of a variable as getStatistics, in a Web Worker (see the 'worker' option).
+   *
+   * @param {string} variableUID The UID of the variable to be described.
+   * @param {string} type Default: 'initial'. Options: 'initial', 'temporary'.
+   * @param {Object} options (Optional) See getStatistics.
+   * @returns A promise resolved with the statistics.
+   */
+  getStatisticsAsync(variableUID, type = 'initial', options = {}) {
+    return this.#runTask('getStatistics', [variableUID, type, options], type);
   }
 }
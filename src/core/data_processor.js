@@ -276,23 +276,8 @@ export class DataProcessor {
         });
       }
 
-      fetch(url, {
-        method: requestType,
-        body: data,
-        headers: {
-          'Content-Type': 'application/json; charset=utf-8',
-          'X-CSRFToken': this.data.csrfToken,
-        },
-      })
-        .then((response) => {
-          if (!response.ok) {
-            response.text().then((text) => {
-              this.#handleErrors(requestType, statusMessage, text);
-            });
-          }
-
-          return response.json();
-        })
+      utilities
+        .sendRESTfulRequest(url, requestType, data, this.data.csrfToken)
         .then((data) => {
           // Optional feature -- If present, remove any visible snippet message
           if (this.statusSnippet && this.statusSnippet.length > 0) {
@@ -0,0 +1,115 @@
+/**
+ * Forefront Toolkit - Data Worker
+ *
+ * Copyright (c) 2021 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+import { DataCollection } from './data_collection.js';
+
+export { runDataTask };
+
+// The tasks that can be run in the background, i.e. the methods of the DataCollection to be called.
+const dataTasks = ['processRecords', 'aggregateRecords', 'pivotRecords', 'getStatistics'];
+
+// The copies of the collections sent by the main thread, by collection ID, with the revision of their records.
+const collections = new Map();
+
+/**
+ * Run a task posted by a DataCollection (see its asynchronous methods, e.g. processRecordsAsync) on a copy of its
+ * records. The records are sent again only when they change (i.e. when their revision changes), while the sorting
+ * and filtering maps and the full-text search are sent with every task.
+ *
+ * @param {Object} message The message posted by the DataCollection: 'collectionID', 'revision', 'task', 'args',
+ * 'dataModel', 'nulls', 'locale' and 'records' (only if changed), 'sorting', 'sortingPriority', 'filtering' (as arrays
+ * of entries), 'search' (the 'query' and the searched 'variableUIDs') and 'temporary' (the positions of the records of
+ * the temporary data set, if required by the task).
+ * @returns An object representing the result of the task: the 'positions' of the processed records, the 'dataModel'
+ * and the 'rawData' of an aggregated collection, or the 'value' returned by the task.
+ */
+function runDataTask(message) {
+  if (!dataTasks.includes(message.task)) {
+    throw 'Data Worker Error: task "' + message.task + '" NOT supported.';
+  }
+
+  if (message.records) {
+    const collection = new DataCollection(message.dataModel, {
+      nulls: message.nulls,
+      locale: message.locale,
+      historySize: 0,
+    });
+
+    // Create the maps of the variables, then use the records as they are (already parsed by the main thread).
+    collection.buildDataCollection([]);
+
+    collection.dataSet = message.records;
+
+    collections.set(message.collectionID, {
+      revision: message.revision,
+      collection: collection,
+      positions: new Map(message.records.map((record, index) => [record, index])),
+    });
+  }
+
+  const cachedCollection = collections.get(message.collectionID);
+
+  if (!cachedCollection || cachedCollection.revision !== message.revision) {
+    throw 'Data Worker Error: the records of the collection are missing or outdated.';
+  }
+
+  const collection = cachedCollection.collection;
+
+  for (const mapName of ['sorting', 'sortingPriority', 'filtering']) {
+    collection.variables.maps[mapName].clear();
+
+    for (const [variableUID, value] of message[mapName]) {
+      collection.variables.maps[mapName].set(variableUID, value);
+    }
+  }
+
+  // The search index is built again only if the searched variables change.
+  collection.searchQuery = message.search.query;
+
+  if (JSON.stringify(collection.searchIndex.variableUIDs) !== JSON.stringify(message.search.variableUIDs)) {
+    collection.createSearchIndex(message.search.variableUIDs);
+  }
+
+  collection.temporaryDataSet = message.temporary
+    ? message.temporary.map((position) => collection.dataSet[position])
+    : Object.assign([], collection.dataSet);
+
+  const result = collection[message.task](...message.args);
+
+  switch (message.task) {
+    case 'processRecords':
+      return { positions: result.map((record) => cachedCollection.positions.get(record)) };
+
+    case 'aggregateRecords':
+    case 'pivotRecords':
+      return { dataModel: result.variables.list, rawData: result.getRawRecords() };
+
+    default:
+      return { value: result };
+  }
+}
+
+// When the toolkit is loaded as a Web Worker, run the tasks posted by the data collections.
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    if (!message || !message.collectionID) {
+      return;
+    }
+
+    try {
+      self.postMessage({ id: message.id, collectionID: message.collectionID, result: runDataTask(message) });
+    } catch (error) {
+      self.postMessage({ id: message.id, collectionID: message.collectionID, error: String(error) });
+    }
+  });
+}
@@ -63,11 +63,31 @@ import {
   redirectToNewPage,
 } from './utilities/form_utilities.js';
 
+// Import Parsing Utilities
+import {
+  parseDelimitedText,
+  stringifyDelimitedText,
+  parseCSV,
+  parseTSV,
+  parseJSONLines,
+  getFileFormat,
+  parseFieldPath,
+  getValueByPath,
+  hasValueByPath,
+  flattenRecords,
+} from './utilities/parsing_utilities.js';
+
+// Import Storage Utilities
+import { setStoredItem, getStoredItem, removeStoredItem } from './utilities/storage_utilities.js';
+
 // Core ---
 
 // Import Data Collection
 import { DataCollection } from './core/data_collection.js';
 
+// Import Data Worker (when the toolkit is loaded as a Web Worker, it processes the records of the data collections)
+import './core/data_worker.js';
+
 // Import Data Processor
 import { DataProcessor } from './core/data_processor.js';
 
@@ -91,6 +111,9 @@ import { EntrySet } from './widgets/entryset.js';
 // Import Notebook
 import { Notebook } from './widgets/notebook.js';
 
+// Import PivotTable
+import { PivotTable } from './widgets/pivottable.js';
+
 // EXPORT ----------------------------------------------------------------------
 
 // Export Generic Utilities
@@ -142,6 +165,23 @@ export {
   redirectToNewPage,
 };
 
+// Export Parsing Utilities
+export {
+  parseDelimitedText,
+  stringifyDelimitedText,
+  parseCSV,
+  parseTSV,
+  parseJSONLines,
+  getFileFormat,
+  parseFieldPath,
+  getValueByPath,
+  hasValueByPath,
+  flattenRecords,
+};
+
+// Export Storage Utilities
+export { setStoredItem, getStoredItem, removeStoredItem };
+
 // Core ---
 
 // Export Data Collection
@@ -169,3 +209,6 @@ export { EntrySet };
 
 // Export Notebook
 export { Notebook };
+
+// Export PivotTable
+export { PivotTable };
@@ -19,6 +19,7 @@ export {
   getData,
   getEncodedData,
   getRESTfulData,
+  sendRESTfulRequest,
   showLoadingOverlay,
   enableFoldableSections,
 };
@@ -345,6 +346,35 @@ function getRESTfulData(url, csrfToken, callback, showOverlay = false) {
     });
 }
 
+/**
+ * Send a RESTful request with a JSON body, e.g. to save a record.
+ *
+ * @param {string} url The URL to which the request is sent.
+ * @param {string} requestType Options: 'GET', 'POST', 'PUT', 'DELETE'.
+ * @param {string} data The JSON representation of the data to be sent (null for GET requests).
+ * @param {string} csrfToken The CSRF Token is used to limit cross-site request forgery attempts.
+ * @returns A promise resolved with the JSON response (null if empty), or rejected with the error returned by the server
+ * (or the status of the response).
+ */
+function sendRESTfulRequest(url, requestType, data, csrfToken) {
+  return fetch(url, {
+    method: requestType,
+    body: data,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'X-CSRFToken': csrfToken ? csrfToken : '',
+    },
+  }).then((response) => {
+    if (!response.ok) {
+      return response.text().then((text) => {
+        throw text ? text : response.status + ' ' + response.statusText;
+      });
+    }
+
+    return response.text().then((text) => (text ? JSON.parse(text) : null));
+  });
+}
+
 /**
  * Add a loading overlay in the DOM
  *
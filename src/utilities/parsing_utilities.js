@@ -0,0 +1,433 @@
+/**
+ * Forefront Toolkit - Parsing Utilities
+ *
+ * Copyright (c) 2021 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export {
+  parseDelimitedText,
+  stringifyDelimitedText,
+  parseCSV,
+  parseTSV,
+  parseJSONLines,
+  getFileFormat,
+  parseFieldPath,
+  getValueByPath,
+  hasValueByPath,
+  flattenRecords,
+};
+
+// The paths already split in keys, as they are looked up for each record.
+const fieldPathCache = new Map();
+
+/**
+ * Split a delimited text (e.g. CSV) in rows and fields, according to RFC 4180: fields can be enclosed in double
+ * quotes, in which case they can contain delimiters, line breaks and escaped (doubled) double quotes.
+ *
+ * @param {string} text The text to be parsed.
+ * @param {string} delimiter Default: ','. The character used to separate the fields.
+ * @returns An object with the 'rows' (arrays of fields), the 'lines' on which each row starts (1-based), and the
+ * 'errors' found ({ line, problem }).
+ */
+function parseDelimitedText(text, delimiter = ',') {
+  let rows = [];
+  let lines = [];
+  let errors = [];
+
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+
+  let line = 1;
+  let rowLine = 1;
+
+  text = text ? String(text) : '';
+
+  // Ignore the byte order mark added by some spreadsheet applications.
+  if (text.charCodeAt(0) === 0xfeff) {
+    text = text.slice(1);
+  }
+
+  const closeRow = () => {
+    row.push(field);
+
+    // Skip the empty lines.
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+      lines.push(rowLine);
+    }
+
+    row = [];
+    field = '';
+    fieldStarted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+
+    if (quoted) {
+      if (character === '"') {
+        if (text[i + 1] === '"') {
+          // Escaped double quote.
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (character === '\n') {
+          line += 1;
+        }
+
+        field += character;
+      }
+    } else if (character === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (character === delimiter) {
+      row.push(field);
+
+      field = '';
+      fieldStarted = false;
+    } else if (character === '\r' || character === '\n') {
+      // Handle both CRLF and LF line breaks.
+      if (character === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+
+      closeRow();
+
+      line += 1;
+      rowLine = line;
+    } else {
+      // Quotes within unquoted fields are kept as they are.
+      field += character;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) {
+    errors.push({ line: rowLine, problem: 'Unclosed quoted field.' });
+  } else if (fieldStarted || row.length > 0) {
+    closeRow();
+  }
+
+  return { rows: rows, lines: lines, errors: errors };
+}
+
+/**
+ * Convert rows of values in a delimited text (e.g. CSV), according to RFC 4180: fields containing the delimiter,
+ * double quotes or line breaks are enclosed in double quotes. Missing values (undefined or null) become empty fields.
+ *
+ * @param {[string]} rows An array of arrays representing the rows.
+ * @param {string} delimiter Default: ','. The character used to separate the fields.
+ * @returns The delimited text, with CRLF line breaks.
+ */
+function stringifyDelimitedText(rows, delimiter = ',') {
+  return rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const field = value === undefined || value === null ? '' : String(value);
+
+          return field.includes(delimiter) || /["\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+        })
+        .join(delimiter)
+    )
+    .join('\r\n');
+}
+
+/**
+ * Convert a CSV text in a list of records (objects).
+ *
+ * @param {string} text The text to be parsed.
+ * @param {Object} options (Optional) The parsing options:
+ * - 'delimiter' (default: ','), the character used to separate the fields;
+ * - 'header' (default: true), if the first row contains the field names;
+ * - 'fields', the field names to be used if there is no header (by default, the position of the field);
+ * - 'fieldMap', an object to rename the fields, e.g. from the header's labels to the source fields.
+ * @returns An object with the 'records', the 'lines' on which each record starts (1-based), and the 'errors' found
+ * ({ row, line, problem }, where row is the 1-based position of the record, excluding the header).
+ */
+function parseCSV(text, options = {}) {
+  const delimiter = options.delimiter ? options.delimiter : ',';
+  const hasHeader = options.header === false ? false : true;
+  const fieldMap = options.fieldMap ? options.fieldMap : {};
+
+  const parsedText = parseDelimitedText(text, delimiter);
+
+  let records = [];
+  let lines = [];
+  let errors = [];
+
+  let rows = parsedText.rows;
+  let rowLines = parsedText.lines;
+
+  let fields = options.fields ? options.fields : [];
+
+  if (hasHeader) {
+    fields = rows.length > 0 ? rows[0].map((field) => field.trim()) : [];
+
+    rows = rows.slice(1);
+    rowLines = rowLines.slice(1);
+  }
+
+  fields = fields.map((field) => (fieldMap.hasOwnProperty(field) ? fieldMap[field] : field));
+
+  rows.forEach((row, index) => {
+    if (hasHeader && row.length !== fields.length) {
+      errors.push({
+        row: index + 1,
+        line: rowLines[index],
+        problem: `Expected ${fields.length} fields, found ${row.length}.`,
+      });
+
+      return;
+    }
+
+    let record = {};
+
+    row.forEach((value, position) => {
+      record[fields[position] !== undefined ? fields[position] : position] = value;
+    });
+
+    records.push(record);
+    lines.push(rowLines[index]);
+  });
+
+  for (const error of parsedText.errors) {
+    errors.push({ row: null, line: error.line, problem: error.problem });
+  }
+
+  return { records: records, lines: lines, errors: errors };
+}
+
+/**
+ * Convert a TSV (tab-separated values) text in a list of records (objects). See parseCSV.
+ *
+ * @param {string} text The text to be parsed.
+ * @param {Object} options (Optional) The same options of parseCSV, except the delimiter.
+ */
+function parseTSV(text, options = {}) {
+  return parseCSV(text, Object.assign({}, options, { delimiter: '\t' }));
+}
+
+/**
+ * Convert a JSON Lines text (one JSON object per line) in a list of records.
+ *
+ * @param {string} text The text to be parsed.
+ * @param {Object} options (Optional) The parsing options: 'fieldMap', an object to rename the fields.
+ * @returns An object with the 'records', the 'lines' of each record, and the 'errors' found ({ row, line, problem }).
+ */
+function parseJSONLines(text, options = {}) {
+  const fieldMap = options.fieldMap ? options.fieldMap : {};
+
+  let records = [];
+  let lines = [];
+  let errors = [];
+
+  let row = 0;
+
+  String(text ? text : '')
+    .split(/\r?\n/)
+    .forEach((content, index) => {
+      if (!content.trim()) {
+        return;
+      }
+
+      row += 1;
+
+      let record = null;
+
+      try {
+        record = JSON.parse(content);
+      } catch (error) {
+        errors.push({ row: row, line: index + 1, problem: 'Invalid JSON: ' + error.message });
+
+        return;
+      }
+
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push({ row: row, line: index + 1, problem: 'The line is NOT a JSON object.' });
+
+        return;
+      }
+
+      let mappedRecord = {};
+
+      for (const field in record) {
+        mappedRecord[fieldMap.hasOwnProperty(field) ? fieldMap[field] : field] = record[field];
+      }
+
+      records.push(mappedRecord);
+      lines.push(index + 1);
+    });
+
+  return { records: records, lines: lines, errors: errors };
+}
+
+/**
+ * Guess the format of a file from its name or MIME type.
+ *
+ * @param {File} file The file (or an object with the 'name' and 'type' properties).
+ * @returns Options: 'csv', 'tsv', 'jsonl', 'json', or null if the format is not supported.
+ */
+function getFileFormat(file) {
+  const name = file && file.name ? file.name.toLowerCase() : '';
+  const type = file && file.type ? file.type.toLowerCase() : '';
+
+  if (name.endsWith('.tsv') || name.endsWith('.tab') || type === 'text/tab-separated-values') {
+    return 'tsv';
+  }
+
+  if (name.endsWith('.jsonl') || name.endsWith('.ndjson') || type === 'application/x-ndjson') {
+    return 'jsonl';
+  }
+
+  if (name.endsWith('.json') || type === 'application/json') {
+    return 'json';
+  }
+
+  if (name.endsWith('.csv') || name.endsWith('.txt') || type === 'text/csv' || type === 'text/plain') {
+    return 'csv';
+  }
+
+  return null;
+}
+
+/**
+ * Split a field path in the keys to be followed, e.g. 'customer.address.city' or 'items[0].sku'. Keys containing dots
+ * can be enclosed in quoted brackets, e.g. 'meta["content.type"]'.
+ *
+ * @param {string} path The path to be split.
+ * @returns An array of keys: strings for the properties, numbers for the array indexes.
+ */
+function parseFieldPath(path) {
+  path = String(path);
+
+  if (!fieldPathCache.has(path)) {
+    let keys = [];
+
+    const keysRegExp = /\[(\d+)\]|\[(["'])(.*?)\2\]|[^.[\]]+/g;
+
+    let match = null;
+
+    while ((match = keysRegExp.exec(path)) !== null) {
+      keys.push(match[1] !== undefined ? Number(match[1]) : match[3] !== undefined ? match[3] : match[0]);
+    }
+
+    fieldPathCache.set(path, keys);
+  }
+
+  return fieldPathCache.get(path);
+}
+
+/**
+ * Follow a field path within an object. A property whose name matches the whole path (e.g. a flat 'customer.city'
+ * field) takes precedence over the nested lookup.
+ *
+ * @param {Object} object The object to be looked up.
+ * @param {string} path The field path, e.g. 'customer.address.city' or 'items[0].sku'.
+ * @returns An object with 'found' (true if the last key of the path exists) and its 'value'.
+ */
+function resolveFieldPath(object, path) {
+  if (object === null || object === undefined) {
+    return { found: false, value: undefined };
+  }
+
+  if (Object.prototype.hasOwnProperty.call(object, path)) {
+    return { found: true, value: object[path] };
+  }
+
+  let value = object;
+
+  for (const key of parseFieldPath(path)) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return { found: false, value: undefined };
+    }
+
+    value = value[key];
+  }
+
+  return { found: true, value: value };
+}
+
+/**
+ * Return the value found at the end of a field path. See resolveFieldPath.
+ *
+ * @param {Object} object The object to be looked up.
+ * @param {string} path The field path, e.g. 'customer.address.city' or 'items[0].sku'.
+ * @returns The value, or undefined if the path doesn't exist.
+ */
+function getValueByPath(object, path) {
+  return resolveFieldPath(object, path).value;
+}
+
+/**
+ * Check if a field path exists within an object, even if its value is null or undefined. See resolveFieldPath.
+ *
+ * @param {Object} object The object to be looked up.
+ * @param {string} path The field path, e.g. 'customer.address.city' or 'items[0].sku'.
+ */
+function hasValueByPath(object, path) {
+  return resolveFieldPath(object, path).found;
+}
+
+/**
+ * Return a copy of an object in which the value at the end of a list of keys is replaced. The objects along the path
+ * are copied, so that the original object is left unchanged.
+ *
+ * @param {Object} object The object to be copied.
+ * @param {[string]} keys The keys to be followed.
+ * @param {*} value The new value.
+ */
+function replaceValueByKeys(object, keys, value) {
+  if (keys.length === 0) {
+    return value;
+  }
+
+  const copy = Array.isArray(object) ? object.slice() : Object.assign({}, object);
+
+  copy[keys[0]] = replaceValueByKeys(copy[keys[0]], keys.slice(1), value);
+
+  return copy;
+}
+
+/**
+ * Explode a nested array in one record per element: each record is copied as many times as the elements of the array
+ * found at the given path, and in each copy the array is replaced by one of its elements. E.g., flattening 'items',
+ * the field path 'items.sku' returns the SKU of a different item in each record. The records in which the array is
+ * missing or empty are kept as they are.
+ *
+ * @param {[Object]} records The records to be flattened.
+ * @param {string} path The field path of the array, e.g. 'items' or 'order.items'.
+ * @returns The flattened records.
+ */
+function flattenRecords(records, path) {
+  let flattenedRecords = [];
+
+  for (const record of records ? records : []) {
+    const array = getValueByPath(record, path);
+
+    if (!Array.isArray(array) || array.length === 0) {
+      flattenedRecords.push(record);
+
+      continue;
+    }
+
+    // A flat property named after the whole path is replaced as it is.
+    const keys = record && Object.prototype.hasOwnProperty.call(record, path) ? [path] : parseFieldPath(path);
+
+    for (const element of array) {
+      flattenedRecords.push(replaceValueByKeys(record, keys, element));
+    }
+  }
+
+  return flattenedRecords;
+}
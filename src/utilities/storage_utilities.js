@@ -0,0 +1,176 @@
+/**
+ * Forefront Toolkit - Storage Utilities
+ *
+ * Copyright (c) 2021 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { setStoredItem, getStoredItem, removeStoredItem };
+
+// The IndexedDB database (and its object store) in which the items are stored.
+const databaseName = 'forefront-toolkit';
+const storeName = 'items';
+
+// The connection to the IndexedDB database, opened once.
+let databaseConnection = null;
+
+/**
+ * Open (and, if necessary, create) the IndexedDB database.
+ *
+ * @returns A promise resolved with the IDBDatabase.
+ */
+function openDatabase() {
+  if (!databaseConnection) {
+    databaseConnection = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject('Storage Error: IndexedDB is NOT supported.');
+
+        return;
+      }
+
+      const request = indexedDB.open(databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName);
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject('Storage Error: ' + request.error);
+    });
+
+    // A failed connection can be attempted again.
+    databaseConnection.catch(() => {
+      databaseConnection = null;
+    });
+  }
+
+  return databaseConnection;
+}
+
+/**
+ * Run a request on the object store of the IndexedDB database.
+ *
+ * @param {string} mode Options: 'readonly', 'readwrite'.
+ * @param {function} createRequest A function receiving the IDBObjectStore and returning the IDBRequest to be run.
+ * @returns A promise resolved with the result of the request.
+ */
+function runDatabaseRequest(mode, createRequest) {
+  return openDatabase().then((database) => {
+    return new Promise((resolve, reject) => {
+      const request = createRequest(database.transaction(storeName, mode).objectStore(storeName));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject('Storage Error: ' + request.error);
+    });
+  });
+}
+
+/**
+ * Return the Web Storage object, checking that it's available.
+ *
+ * @returns The localStorage object.
+ */
+function getLocalStorage() {
+  if (typeof localStorage === 'undefined') {
+    throw 'Storage Error: localStorage is NOT supported.';
+  }
+
+  return localStorage;
+}
+
+/**
+ * Check that a storage type is supported.
+ *
+ * @param {string} storage The storage type.
+ */
+function checkStorage(storage) {
+  if (!['localStorage', 'indexedDB'].includes(storage)) {
+    throw 'Storage Error: storage "' + storage + '" NOT supported. Options: "localStorage", "indexedDB".';
+  }
+}
+
+/**
+ * Store an item in the browser, optionally with an expiry.
+ *
+ * @param {string} key The key of the item.
+ * @param {*} value The value of the item. It must be serialisable as JSON for localStorage, and cloneable (e.g. no
+ * functions) for IndexedDB.
+ * @param {Object} options (Optional) The options of the storage:
+ * - 'storage' (default: 'localStorage'), where to store the item: 'localStorage', 'indexedDB';
+ * - 'expiry' (default: none), the number of milliseconds after which the item is discarded.
+ * @returns A promise resolved when the item is stored, or rejected if it can't be (e.g. the storage is full).
+ */
+function setStoredItem(key, value, options = {}) {
+  const storage = options.storage ? options.storage : 'localStorage';
+  const expiry = options.expiry ? options.expiry : null;
+
+  return new Promise((resolve) => {
+    checkStorage(storage);
+
+    const item = { value: value, expires: expiry ? Date.now() + expiry : null };
+
+    if (storage === 'indexedDB') {
+      resolve(runDatabaseRequest('readwrite', (store) => store.put(item, key)).then(() => undefined));
+    } else {
+      getLocalStorage().setItem(key, JSON.stringify(item));
+
+      resolve();
+    }
+  });
+}
+
+/**
+ * Return an item stored in the browser (see setStoredItem). Expired items are removed.
+ *
+ * @param {string} key The key of the item.
+ * @param {string} storage Default: 'localStorage'. Options: 'localStorage', 'indexedDB'.
+ * @returns A promise resolved with the value of the item, or null if it's missing or expired.
+ */
+function getStoredItem(key, storage = 'localStorage') {
+  return new Promise((resolve) => {
+    checkStorage(storage);
+
+    if (storage === 'indexedDB') {
+      resolve(runDatabaseRequest('readonly', (store) => store.get(key)));
+    } else {
+      const item = getLocalStorage().getItem(key);
+
+      resolve(item !== null ? JSON.parse(item) : null);
+    }
+  }).then((item) => {
+    if (!item) {
+      return null;
+    }
+
+    if (item.expires !== null && item.expires <= Date.now()) {
+      return removeStoredItem(key, storage).then(() => null);
+    }
+
+    return item.value;
+  });
+}
+
+/**
+ * Remove an item stored in the browser (see setStoredItem).
+ *
+ * @param {string} key The key of the item.
+ * @param {string} storage Default: 'localStorage'. Options: 'localStorage', 'indexedDB'.
+ * @returns A promise resolved when the item is removed.
+ */
+function removeStoredItem(key, storage = 'localStorage') {
+  return new Promise((resolve) => {
+    checkStorage(storage);
+
+    if (storage === 'indexedDB') {
+      resolve(runDatabaseRequest('readwrite', (store) => store.delete(key)).then(() => undefined));
+    } else {
+      getLocalStorage().removeItem(key);
+
+      resolve();
+    }
+  });
+}
@@ -11,6 +11,7 @@
 
 import { Table } from './table.js';
 import { FilterSet } from './filterSet.js';
+import { PivotTable } from './pivottable.js';
 
 /**
  * A Fetcher allows to the data processing and the UI orchestration of a Table and a FilterSet.
@@ -86,6 +87,9 @@ export class Fetcher {
       // FilterSet
       this.filterSet = properties.filterSet ? new FilterSet(properties.filterSet) : null;
 
+      // PivotTable (populated with the data loaded in the Table)
+      this.pivotTable = properties.pivotTable && this.table ? new PivotTable(properties.pivotTable) : null;
+
       // Declare and initialise a global variable to store the fetcher controls.
       this.controls = {};
     } else {
@@ -107,6 +111,9 @@ export class Fetcher {
     if (newQuery && this.table) {
       // Empty the data collections, but keep the data model.
       this.table.data.removeAllData(true, false);
+
+      // Hide the validation problems of the previous query.
+      this.#setValidationSnippet(null);
       // Empty the pagination map.
       this.pagination.dataMap = new Map();
     }
@@ -183,14 +190,10 @@ export class Fetcher {
                   // First page
                   this.table.createTable(data);
                 } else {
-                  // Pages after the first one
-                  this.table.data.addRecords(data);
-
-                  // Combine the new data with the existing one.
-                  this.table.data.temporaryDataSet.concat(data);
-
-                  // Refresh table
-                  this.table.refreshTable();
+                  // Pages after the first one: if the table has a primary key, records already loaded (e.g. shifted
+                  // to the next page by new insertions) are updated instead of being duplicated. The table is
+                  // refreshed by its data collection's change events.
+                  this.table.data.upsertRecords(data);
                 }
 
                 // Re-enable the "more records" button is enabled to allow for another retrieval attempt.
@@ -233,6 +236,13 @@ export class Fetcher {
     if (this.table) {
       // Create an empty table.
       this.table.createTable();
+
+      // Cross-tabulate the records shown in the table every time they are processed, if a pivot table is provided.
+      if (this.pivotTable) {
+        this.table.data.subscribe('records_processed', (event) => {
+          this.#refreshPivotTable();
+        });
+      }
     }
 
     // FilterSet
@@ -303,20 +313,31 @@ export class Fetcher {
       rightControls.insertAdjacentElement('afterbegin', this.table.controls.export);
       // Reset Button (from Table)
       rightControls.insertAdjacentElement('afterbegin', this.table.controls.reset);
+      // Column chooser and reset layout button (from Table), if enabled
+      if (this.table.controls.columns) {
+        this.table.controls.reset.insertAdjacentElement('afterend', this.table.controls.resetLayout);
+        rightControls.insertAdjacentElement('afterbegin', this.table.controls.columns);
+      }
+      // Search box (from Table), if enabled
+      if (this.table.controls.search) {
+        leftControls.insertAdjacentElement('beforeend', this.table.controls.search);
+      }
+      // Selection toolbar (from Table), if enabled
+      if (this.table.controls.selection) {
+        leftControls.insertAdjacentElement('beforeend', this.table.controls.selection);
+      }
 
-      // Update the status snippet with the number of records every time changes are observed in the table.
-      const tablePointOfEntry = document.querySelector('#' + this.table.pointOfEntry);
-
-      const config = { childList: true, subtree: true };
-
-      const callback = (mutationsList, observer) => {
+      // Update the status snippet with the number of records every time the table's data change.
+      this.table.data.subscribe(['records_processed', 'records_removed'], (event) => {
         this.#setStatusSnippet('partial', this.table.data.temporaryDataSet.length);
 
         this.#setStatusSnippet('total', this.table.data.dataSet.length);
-      };
+      });
 
-      const observer = new MutationObserver(callback);
-      observer.observe(tablePointOfEntry, config);
+      // Show the problems found in the loaded records, if the table validates them.
+      this.table.data.subscribe('records_validated', (event) => {
+        this.#setValidationSnippet(event.detail);
+      });
     }
   }
 
@@ -331,6 +352,8 @@ export class Fetcher {
     const statusSnippet = `<div id="${this.id}-status-snippet" class="status-snippet col-auto text-center">
                               <span id="${this.id}-partial-records" class="partial-records small text-secondary"></span>
                               <span id="${this.id}-total-records" class="total-records small text-secondary"></span>
+                              <span id="${this.id}-validation-problems" class="validation-problems small text-warning ms-2" 
+                                hidden></span>
                             </div>`;
 
     const rightControls = `<div id="${this.id}-controls-right" class="col text-end"></div>`;
@@ -422,6 +445,15 @@ export class Fetcher {
     }
   }
 
+  /**
+   * Update the pivot table (if any) with the data of the table.
+   */
+  #refreshPivotTable() {
+    if (this.pivotTable) {
+      this.pivotTable.createPivotTable(this.table.data);
+    }
+  }
+
   /**
    * Function to generate and append the status/records counter snippet
    *
@@ -446,6 +478,37 @@ export class Fetcher {
     }
   }
 
+  /**
+   * Log the problems found by the validation of the loaded records and, if the status snippet is enabled, show their
+   * number next to it.
+   *
+   * @param {Object} report The validation report of the table's data collection. If null, the snippet is hidden.
+   */
+  #setValidationSnippet(report) {
+    const validationProblems = document.querySelector('#' + this.id + '-validation-problems');
+
+    if (!report || report.problems.length < 1) {
+      if (validationProblems) {
+        validationProblems.innerHTML = '';
+        validationProblems.hidden = true;
+      }
+
+      return;
+    }
+
+    if (this.statusSnippet && validationProblems) {
+      const details = report.problems
+        .slice(0, 10)
+        .map((problem) => `Record ${problem.recordIndex + 1}, ${problem.variableUID}: ${problem.problem}`);
+
+      validationProblems.innerHTML = `<i class="bi bi-exclamation-triangle" role="img" aria-hidden="true"></i>
+                                      ${report.problems.length} validation problems 
+                                      ${report.rejected > 0 ? '(' + report.rejected + ' records rejected)' : ''}`;
+      validationProblems.title = details.join('\n') + (report.problems.length > details.length ? '\n...' : '');
+      validationProblems.hidden = false;
+    }
+  }
+
   /**
    * Create a list with filters and custom behaviour.
    */
@@ -0,0 +1,193 @@
+/**
+ * Forefront Toolkit - PivotTable
+ *
+ * Copyright (c) 2021 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+import { Table } from './table.js';
+
+/**
+ * A class representing a PivotTable, i.e. a Table showing the cross-tabulation of the records of a DataCollection.
+ *
+ * @param {Object} properties The properties necessary to instantiate the pivot table.
+ */
+export class PivotTable {
+  constructor(properties) {
+    this.id = 'pivot-table-' + Date.now();
+
+    if (properties && properties.pointOfEntry) {
+      // The ID of the element in which to insert the pivot table.
+      this.pointOfEntry = properties.pointOfEntry;
+
+      this.pivot = {};
+
+      // The source fields of the variables used as rows, columns and values of the pivot table.
+      this.pivot.rows = properties.rows ? properties.rows : '';
+      this.pivot.columns = properties.columns ? properties.columns : '';
+      this.pivot.values = properties.values ? properties.values : '';
+
+      if (!this.pivot.rows || !this.pivot.columns) {
+        throw 'PivotTable Error: rows and/or columns NOT found or invalid.';
+      }
+
+      // The aggregation applied to the values.
+      const operations = ['count', 'sum', 'average', 'min', 'max', 'distinct_count'];
+
+      this.pivot.operation =
+        properties.operation && operations.includes(properties.operation) ? properties.operation : 'sum';
+
+      // Show the row and column totals.
+      this.pivot.totals = properties.totals === false ? false : true;
+
+      // The data set to be pivoted: the filtered and sorted records ('temporary') or all of them ('initial').
+      this.pivot.dataSet =
+        properties.dataSet && ['initial', 'temporary'].includes(properties.dataSet) ? properties.dataSet : 'temporary';
+
+      // The label shown in the row cell of the record with the column totals.
+      this.pivot.totalsLabel = properties.totalsLabel ? properties.totalsLabel : 'Total';
+
+      const customPostProcessing = properties.customPostProcessing ? properties.customPostProcessing : null;
+
+      // The properties passed to the underlying Table. The totals are labelled every time the rows are rendered, before
+      // running the custom post processing, if any.
+      this.tableProperties = {
+        striped: properties.striped,
+        mode: properties.mode,
+        export: properties.export,
+        conditionalFormatting: properties.conditionalFormatting,
+        customPostProcessing: (queryTools) => {
+          this.#labelTotals();
+
+          if (typeof customPostProcessing === 'function') {
+            customPostProcessing(queryTools);
+          } else if (typeof customPostProcessing === 'string') {
+            Function('"use strict";return ' + customPostProcessing)()(queryTools);
+          }
+        },
+      };
+
+      // The Table used to display the pivoted records, and the columns it was created with.
+      this.table = null;
+      this.tableColumns = '';
+    } else {
+      throw 'PivotTable Error: properties NOT found or invalid.';
+    }
+  }
+
+  /**
+   * Return the UID of the variable associated with a source field.
+   *
+   * @param {DataCollection} dataCollection The data collection in which to look up the variable.
+   * @param {string} sourceField The source field of the variable.
+   */
+  #getVariableUID(dataCollection, sourceField) {
+    const variableUID = dataCollection.variables.maps.reverseUids.get(sourceField);
+
+    if (variableUID === undefined) {
+      throw `PivotTable Error: the source field "${sourceField}" is missing from the data collection.`;
+    }
+
+    return variableUID;
+  }
+
+  /**
+   * Show the label of the totals in the row cell of the record with the column totals (see DataCollection's
+   * pivotRecords), whose row value is missing.
+   */
+  #labelTotals() {
+    const tableBody = this.table ? document.querySelector('#' + this.table.id + '-body') : null;
+
+    if (!tableBody) {
+      return;
+    }
+
+    const variableUID = this.table.data.variables.maps.reverseUids.get('pivot_is_total');
+
+    if (variableUID === undefined) {
+      return;
+    }
+
+    const index = this.table.data.variables.maps.index.get(variableUID);
+
+    Array.from(tableBody.querySelectorAll('.ft-table-row')).forEach((rowElement) => {
+      const row = this.table.shownRows[rowElement.getAttribute('data-ft-table-row')];
+
+      if (row && row[index] === 'true') {
+        rowElement.classList.add('fw-bold');
+
+        const rowCell = rowElement.querySelector('[data-ft-table-column="0"]');
+
+        if (rowCell) {
+          rowCell.textContent = this.pivot.totalsLabel;
+        }
+      }
+    });
+  }
+
+  /**
+   * Pivot the records of a data collection and show them in the pivot table. The Table is created again only if the
+   * columns change (e.g. a new column value appears); otherwise, its records are replaced and its body refreshed.
+   *
+   * @param {DataCollection} dataCollection The data collection to be pivoted, e.g. the data of a Table.
+   * @returns The DataCollection representing the pivoted records.
+   */
+  createPivotTable(dataCollection) {
+    const pivotedCollection = dataCollection.pivotRecords(
+      this.#getVariableUID(dataCollection, this.pivot.rows),
+      this.#getVariableUID(dataCollection, this.pivot.columns),
+      this.pivot.values ? this.#getVariableUID(dataCollection, this.pivot.values) : null,
+      this.pivot.operation,
+      this.pivot.dataSet,
+      this.pivot.totals
+    );
+
+    // The columns depend on the pivoted values. Sorting is disabled to keep the totals at the bottom, and the marker of
+    // the totals is hidden.
+    const columns = pivotedCollection.variables.list.map((variable, index) => {
+      return {
+        label: variable.label,
+        sourceField: variable.sourceField,
+        dataType: variable.dataType,
+        sorting: false,
+        visible: variable.sourceField !== 'pivot_is_total',
+      };
+    });
+
+    const tableColumns = JSON.stringify(columns);
+
+    if (this.table && this.tableColumns === tableColumns && document.querySelector('#' + this.table.id)) {
+      // Replace the records without rebuilding the table, so that no further listeners are added, and refresh it once.
+      // The filters typed in the headers are kept.
+      this.table.building = true;
+
+      this.table.data.loadDataSet(pivotedCollection.getRawRecords(), true);
+
+      this.table.building = false;
+
+      this.table.refreshTable();
+    } else {
+      // The previous table no longer follows its data, nor the window.
+      if (this.table) {
+        this.table.removeTable();
+      }
+
+      this.table = new Table(
+        Object.assign({}, this.tableProperties, { pointOfEntry: this.pointOfEntry, columns: columns })
+      );
+
+      this.tableColumns = tableColumns;
+
+      // Keep the same DOM ID when the pivot table is rebuilt, so that it can be consistently referenced.
+      this.table.id = this.id + '-table';
+
+      this.table.createTable(pivotedCollection);
+    }
+
+    return pivotedCollection;
+  }
+}
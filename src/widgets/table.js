@@ -10,8 +10,14 @@
 'use strict';
 
 import * as utilities from '../utilities/generic_utilities.js';
+import * as parsing_utilities from '../utilities/parsing_utilities.js';
+import * as date_utilities from '../utilities/date_utilities.js';
+import * as storage_utilities from '../utilities/storage_utilities.js';
 import { DataCollection } from '../core/data_collection.js';
 
+// The mark of the selected rows, a bar on their left side that doesn't hide their background.
+const selectedRowShadow = 'inset 0.25rem 0 0 var(--bs-primary)';
+
 /**
  * A class representing a Table, used to process structured data organised in rows and columns.
  *
@@ -42,14 +48,140 @@ export class Table {
       this.export =
         properties.export && ['safe', 'raw', 'disabled'].includes(properties.export) ? properties.export : 'disabled';
 
+      // Add the footer of the table (see the columns' footer), calculated on the exported rows, to the exported CSV.
+      this.exportFooter = properties.exportFooter === true ? true : false;
+
+      // Import the files (CSV, TSV, JSON Lines, JSON) dropped onto the table: 'merge', 'replace', 'disabled' (default).
+      this.fileImport =
+        properties.fileImport && ['merge', 'replace', 'disabled'].includes(properties.fileImport)
+          ? properties.fileImport
+          : 'disabled';
+
+      // The report of the last file import.
+      this.importReport = null;
+
+      // The validation of the loaded records against the columns' constraints: 'none' (default), 'report', 'strict'.
+      this.validation =
+        properties.validation && ['none', 'report', 'strict'].includes(properties.validation)
+          ? properties.validation
+          : 'none';
+
+      // Where the missing values are placed when sorting (unless a column declares otherwise): 'first', 'last'.
+      this.nulls = properties.nulls && ['first', 'last'].includes(properties.nulls) ? properties.nulls : 'last';
+
+      // The field path of a nested array to be exploded in one row per element, e.g. 'items' (see Data Collection).
+      this.flatten = properties.flatten ? properties.flatten : null;
+
+      // The locale used to sort and filter the text, unless a column declares otherwise (see Data Collection).
+      this.locale = properties.locale ? properties.locale : null;
+
+      // The Web Worker in which the rows are sorted and filtered when the table is refreshed (see Data Collection).
+      this.worker = properties.worker ? properties.worker : false;
+
+      // A search box (see controls.search) running a full-text search across the visible columns, whose matches are
+      // highlighted in the cells.
+      this.search = properties.search === true ? true : false;
+
+      // Let the users reorder the columns (dragging their labels), resize them (dragging the right edge of the headers)
+      // and hide/show them (see controls.columns). The layout is kept in localStorage under layoutKey.
+      this.columnManagement = properties.columnManagement === true ? true : false;
+
+      this.layoutKey = properties.layoutKey ? properties.layoutKey : 'ft-table-layout-' + this.pointOfEntry;
+
+      // A selection column (a checkbox per row, and one in the header selecting all the filtered rows) and a toolbar
+      // (see controls.selection) with the actions to be run on the selected rows.
+      this.selectable = properties.selectable === true ? true : false;
+
+      // The actions of the selection toolbar: 'export', 'delete', or { label, icon, action }, whose action function
+      // receives the selected records (see getSelectedRecords) and the table.
+      this.bulkActions = Array.isArray(properties.bulkActions) ? properties.bulkActions : ['export', 'delete'];
+
+      for (const bulkAction of this.bulkActions) {
+        if (!['export', 'delete'].includes(bulkAction) && !(bulkAction && typeof bulkAction.action === 'function')) {
+          throw "Table Error: the bulk actions must be 'export', 'delete' or { label, icon, action }.";
+        }
+      }
+
+      // Render only the rows in (and near) the visible part of the table, e.g. for thousands of rows: the height of the
+      // rows in pixels (default: measured on the rendered rows) and the number of rows rendered beyond the visible
+      // ones (default: 10).
+      const virtualScrolling = properties.virtualScrolling ? properties.virtualScrolling : null;
+
+      this.virtualScrolling = virtualScrolling
+        ? {
+            rowHeight: virtualScrolling.rowHeight > 0 ? virtualScrolling.rowHeight : null,
+            overscan: Number.isInteger(virtualScrolling.overscan) ? Math.max(virtualScrolling.overscan, 0) : 10,
+            // The element whose scrolling reveals the rows (see #enableVirtualScrolling), the range of rows rendered,
+            // and the measured height of the rows.
+            container: null,
+            first: 0,
+            last: 0,
+            measuredRowHeight: null,
+          }
+        : null;
+
+      // Save each edited row with a PUT request to the URL followed by the row's primary key and '/' (as the Data
+      // Processor does), rolling back the edit if the request fails.
+      const saveEdits = properties.saveEdits ? properties.saveEdits : {};
+
+      this.saveEdits = saveEdits.url
+        ? { url: saveEdits.url, csrfToken: saveEdits.csrfToken ? saveEdits.csrfToken : '' }
+        : null;
+
+      // The number of refreshes requested, so that only the latest one is rendered when they are processed by a worker.
+      this.refreshRequests = 0;
+
+      // The window resize listeners and the MutationObservers keeping the layout of the table in shape, by name, so
+      // that those of the previous structure are replaced when the table is created again (see #observeLayout).
+      this.layoutObservers = new Map();
+
+      // The CSS classes used to highlight the rows added and the cells modified by a merge (see mergeRecords).
+      const changeHighlighting = properties.changeHighlighting ? properties.changeHighlighting : {};
+
+      this.changeHighlighting = {
+        added: changeHighlighting.added ? changeHighlighting.added : 'alert-success',
+        modified: changeHighlighting.modified ? changeHighlighting.modified : 'alert-warning',
+        edited: changeHighlighting.edited ? changeHighlighting.edited : 'alert-info',
+      };
+
+      // The highlighted changes: for each record, the type of change and the UIDs of the modified variables.
+      this.changes = new Map();
+
+      // The cells edited in the table (see editCell): for each record, the UIDs of the edited columns. With saveEdits,
+      // the cells are no longer marked once the row is saved.
+      this.edits = new Map();
+
+      // The rows shown in the table, in order (with virtual scrolling, only some of them are rendered).
+      this.shownRows = [];
+
+      // The selected rows, and the row from which a range is selected (with Shift+Click or Shift+Arrow).
+      this.selectedRows = new Set();
+      this.selectionAnchor = null;
+
+      // The duplicates under review: for each record, the index of its cluster (see showDuplicates). Null if none.
+      this.duplicates = null;
+
+      // The position of each cluster of duplicates among the ones shown, used to stripe them.
+      this.duplicatesOrder = new Map();
+
       // Declare and initialise a global variable to store the table's controls.
       this.controls = {};
 
       //  DATA PROCESSING
       this.columns = {};
 
-      // Properties of the columns
-      this.columns.list = properties.columns ? properties.columns : [];
+      // Properties of the columns (a copy, as the hidden columns below are added to the list)
+      this.columns.list = properties.columns ? [...properties.columns] : [];
+
+      // The fields referenced by the links are kept as hidden columns, so that they can be looked up in the rows.
+      for (const column of this.columns.list.slice()) {
+        const refDataField = column.link && column.link.refDataField ? column.link.refDataField : '';
+
+        if (refDataField && !this.columns.list.some((otherColumn) => otherColumn.sourceField === refDataField)) {
+          this.columns.list.push({ sourceField: refDataField, visible: false, sorting: false });
+        }
+      }
+
       this.columns.size = this.columns.list.length;
 
       if (this.columns.list && this.columns.size > 0) {
@@ -57,9 +189,21 @@ export class Table {
 
         this.columns.sortMap = new Map();
         this.columns.filterMap = new Map();
+        this.columns.filterOperatorMap = new Map();
 
         this.columns.visibilityMap = new Map();
 
+        this.columns.nullDisplayMap = new Map();
+
+        this.columns.editorMap = new Map();
+
+        // The aggregations shown in the footer of the table, by column.
+        this.columns.footerMap = new Map();
+
+        // The order in which the columns are shown, and the widths set by the users (in pixels).
+        this.columns.order = [];
+        this.columns.widthMap = new Map();
+
         this.cells = {};
         this.cells.typesMap = new Map();
 
@@ -80,15 +224,112 @@ export class Table {
           const filteringType = this.columns.list[i].filtering ? this.columns.list[i].filtering : 'none';
           this.columns.filterMap.set(columnUID, filteringType);
 
-          const visible = this.columns.list[i].visible ? this.columns.list[i].visible : true;
+          // The operator used by the header filter. Select filters match the whole value by default.
+          const filterOperator = this.columns.list[i].filterOperator
+            ? this.columns.list[i].filterOperator
+            : filteringType === 'select'
+            ? 'equals'
+            : 'includes';
+          this.columns.filterOperatorMap.set(columnUID, filterOperator);
+
+          // The text shown in place of missing values.
+          const nullDisplay =
+            this.columns.list[i].nullDisplay !== undefined && this.columns.list[i].nullDisplay !== null
+              ? this.columns.list[i].nullDisplay
+              : '-';
+          this.columns.nullDisplayMap.set(columnUID, nullDisplay);
+
+          const visible = this.columns.list[i].visible === false ? false : true;
           this.columns.visibilityMap.set(columnUID, visible);
 
+          this.columns.order.push(columnUID);
+
           const label = this.columns.list[i].label ? this.columns.list[i].label : '';
           this.columns.labelMap.set(columnUID, label);
+
+          // The editor of the editable cells. By default, it matches the options, the cell type and the data type.
+          const editable = this.columns.list[i].editable;
+
+          if (editable) {
+            if (this.columns.list[i].compute) {
+              throw `Table Error: the computed column "${label}" cannot be editable.`;
+            }
+
+            const editorOptions = editable.options ? editable.options : null;
+            const dataType = this.columns.list[i].dataType;
+
+            let editor = 'text';
+
+            if (['text', 'number', 'date', 'select', 'checkbox'].includes(editable.editor)) {
+              editor = editable.editor;
+            } else if (editorOptions) {
+              editor = 'select';
+            } else if (cellType === 'tick' || cellType === 'tick_plain') {
+              editor = 'checkbox';
+            } else if (dataType === 'number') {
+              editor = 'number';
+            } else if (dataType === 'eu_date') {
+              editor = 'date';
+            }
+
+            this.columns.editorMap.set(columnUID, { editor: editor, options: editorOptions });
+          }
+
+          // The aggregation of the rows shown, displayed in the footer: 'sum', 'average', 'count', 'min', 'max', or a
+          // function receiving the values of the column (missing ones excluded) and the rows.
+          const footer = this.columns.list[i].footer;
+
+          if (footer) {
+            if (typeof footer !== 'function' && !['sum', 'average', 'count', 'min', 'max'].includes(footer)) {
+              throw `Table Error: footer "${footer}" of the column "${label}" NOT supported.`;
+            }
+
+            if ((footer === 'sum' || footer === 'average') && this.columns.list[i].dataType !== 'number') {
+              throw `Table Error: the "${footer}" footer of the column "${label}" requires the 'number' dataType.`;
+            }
+
+            this.columns.footerMap.set(columnUID, footer);
+          }
         }
 
         // New Data Collection instance for the handling of data in the table.
-        this.data = new DataCollection(this.columns.list);
+        this.data = new DataCollection(this.columns.list, {
+          validation: this.validation,
+          nulls: this.nulls,
+          flatten: this.flatten,
+          locale: this.locale,
+          worker: this.worker,
+        });
+
+        // Restore the layout chosen by the users, if any.
+        if (this.columnManagement) {
+          this.#restoreLayout();
+        }
+
+        // The edits are saved by the primary key of the rows.
+        if (this.saveEdits && !this.columns.list.some((column) => column.primaryKey === true)) {
+          throw 'Table Error: a primary key column is required to save the edits.';
+        }
+
+        // True while the table is (re-)built, so that the changes of the data collection don't trigger a refresh.
+        this.building = false;
+
+        // Keep the body of the table in sync with the data collection, whoever changes it (until removeTable).
+        this.dataObserver = (event) => {
+          this.#handleDataChange(event);
+        };
+
+        this.data.subscribe(
+          [
+            'records_added',
+            'records_removed',
+            'records_edited',
+            'sorting_changed',
+            'filtering_changed',
+            'snapshot_restored',
+          ],
+          this.dataObserver
+        );
       } else {
         throw 'Table Error: columns NOT found or invalid.';
       }
@@ -105,10 +346,21 @@ export class Table {
    * @param {array} row An array representing the content of the row.
    * @param {string} columnUID The UID of the column that will be looked up and processed.
    */
-  #setCellStyle(row, columnUID) {
+  #setCellStyle(row, columnUID, searchTerms = []) {
     const type = this.cells.typesMap.get(columnUID) ? this.cells.typesMap.get(columnUID) : 'text';
     const value = row[this.data.variables.maps.index.get(columnUID)];
 
+    // Missing values are shown according to the column's nullDisplay, unless a link has a default URL to point to.
+    if (value === null || value === undefined) {
+      const link = this.columns.list[this.data.variables.maps.index.get(columnUID)].link;
+
+      if (type !== 'link' || !link || !link.defaultURL) {
+        return `<span class="ft-null-value text-secondary" data-ft-raw-value="">
+                  ${this.columns.nullDisplayMap.get(columnUID)}
+                </span>`;
+      }
+    }
+
     let parsedField = '';
 
     if (type === 'tick' || type === 'tick_plain') {
@@ -160,12 +412,341 @@ export class Table {
         throw `Table Error: link properties for "${columnUID}" are missing or invalid.`;
       }
     } else {
-      parsedField = value;
+      parsedField = searchTerms.length > 0 ? this.#highlightSearchMatches(value, searchTerms) : value;
     }
 
     return parsedField;
   }
 
+  /**
+   * Highlight the words of a text matching the full-text search, i.e. starting with any of the words of the query.
+   *
+   * @param {string} value The text of the cell. It can contain HTML tags, which are left as they are.
+   * @param {[string]} searchTerms The tokens of the query (see DataCollection's tokenize).
+   * @returns The text, with the matching words wrapped in a mark element.
+   */
+  #highlightSearchMatches(value, searchTerms) {
+    // The separators are kept, so that the text can be joined back.
+    const separatorRegExp = new RegExp('(' + this.data.tokenSeparatorRegExp.source + ')');
+
+    return String(value)
+      .split(/(<[^>]*>)/)
+      .map((segment, index) => {
+        if (index % 2 !== 0) {
+          return segment;
+        }
+
+        return segment
+          .split(separatorRegExp)
+          .map((word, wordIndex) => {
+            const token = wordIndex % 2 === 0 && word ? this.data.tokenize(word)[0] : '';
+
+            return token && searchTerms.some((term) => token.startsWith(term))
+              ? `<mark class="ft-search-match p-0">${word}</mark>`
+              : word;
+          })
+          .join('');
+      })
+      .join('');
+  }
+
+  /**
+   * Replace the content of an editable cell with its editor (see the columns' editable property). The edit is
+   * committed by pressing Enter or leaving the editor, and cancelled by pressing Escape.
+   *
+   * @param {HTMLElement} cell The cell to be edited.
+   */
+  #openEditor(cell) {
+    const columnUID = cell.getAttribute('data-ft-table-column');
+    const row = this.shownRows[cell.closest('.ft-table-row').getAttribute('data-ft-table-row')];
+
+    const { editor, options } = this.columns.editorMap.get(columnUID);
+    const variableIndex = this.data.variables.maps.index.get(columnUID);
+    const value = row[variableIndex];
+
+    let field = null;
+
+    if (editor === 'select') {
+      field = document.createElement('select');
+      field.classList.add('form-select', 'form-select-sm');
+
+      // Without a list of options, the values of the column can be chosen.
+      let values = options
+        ? options
+        : Array.from(new Set(this.data.dataSet.map((record) => record[variableIndex]))).filter(
+            (option) => option !== null
+          );
+
+      // The current value is kept among the options, so that leaving the editor doesn't clear it.
+      if (value !== null && value !== undefined && !values.some((option) => String(option) === String(value))) {
+        values = [value].concat(values);
+      }
+
+      // The empty option removes the value.
+      for (const option of [''].concat(values)) {
+        field.add(new Option(option === '' ? this.columns.nullDisplayMap.get(columnUID) : option, option));
+      }
+    } else {
+      field = document.createElement('input');
+      field.type = editor === 'checkbox' ? 'checkbox' : editor === 'number' ? 'number' : 'text';
+      field.classList.add(...(editor === 'checkbox' ? ['form-check-input'] : ['form-control', 'form-control-sm']));
+    }
+
+    field.classList.add('ft-table-editor');
+
+    if (editor === 'checkbox') {
+      field.checked = value !== null && value !== undefined && String(value) !== 'false';
+    } else if (editor === 'date') {
+      // The pseudo-date field shows the EU dates as 'DD / MM / YYYY'.
+      field.value = value !== null && value !== undefined ? String(value).split('/').join(' / ') : '';
+      field.placeholder = 'DD / MM / YYYY';
+    } else {
+      field.value = value !== null && value !== undefined ? value : '';
+    }
+
+    cell.innerHTML = '';
+    cell.appendChild(field);
+
+    if (editor === 'date') {
+      field.id = this.id + '-editor';
+
+      date_utilities.createDateTextField(field.id);
+    }
+
+    let closed = false;
+
+    const closeEditor = (commit) => {
+      if (closed) {
+        return;
+      }
+
+      closed = true;
+
+      let editedValue = field.value;
+
+      if (editor === 'checkbox') {
+        editedValue = field.checked;
+      } else if (editor === 'number' && field.value !== '') {
+        editedValue = Number(field.value);
+      } else if (editor === 'date') {
+        editedValue = field.value.replace(/ \/ /g, '/');
+      }
+
+      const currentValue = value !== null && value !== undefined ? String(value) : '';
+
+      if (commit && String(editedValue) !== currentValue) {
+        try {
+          // The table is refreshed by the resulting change event.
+          this.editCell(row, columnUID, editedValue);
+
+          return;
+        } catch (error) {
+          alert(error);
+        }
+      }
+
+      cell.innerHTML = this.#setCellStyle(row, columnUID);
+    };
+
+    field.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === 'Escape') {
+        event.preventDefault();
+
+        closeEditor(event.key === 'Enter');
+      }
+    });
+
+    field.addEventListener('blur', (event) => {
+      closeEditor(true);
+    });
+
+    // The checkboxes and the select menus are committed as soon as they change.
+    if (editor === 'checkbox' || editor === 'select') {
+      field.addEventListener('change', (event) => {
+        closeEditor(true);
+      });
+    }
+
+    field.focus();
+  }
+
+  /**
+   * Remove the mark of an edited cell.
+   *
+   * @param {[string]} row The edited row.
+   * @param {string} columnUID The UID of the edited column.
+   */
+  #unmarkEdit(row, columnUID) {
+    const edits = this.edits.get(row);
+
+    if (edits) {
+      edits.delete(columnUID);
+
+      if (edits.size === 0) {
+        this.edits.delete(row);
+      }
+    }
+  }
+
+  /**
+   * Select or deselect a row and, for a range, the rows shown between it and the anchor (the last row selected
+   * without a range).
+   *
+   * @param {[string]} row The row to be selected.
+   * @param {boolean} selected Select (true) or deselect (false) the rows.
+   * @param {boolean} range Select the range from the anchor, e.g. with Shift+Click.
+   */
+  #selectRow(row, selected, range) {
+    const anchorIndex = range && this.selectionAnchor ? this.shownRows.indexOf(this.selectionAnchor) : -1;
+
+    if (anchorIndex > -1) {
+      const rowIndex = this.shownRows.indexOf(row);
+
+      const rangeRows = this.shownRows.slice(Math.min(anchorIndex, rowIndex), Math.max(anchorIndex, rowIndex) + 1);
+
+      this.selectRows(rangeRows, selected);
+    } else {
+      this.selectionAnchor = row;
+
+      this.selectRows([row], selected);
+    }
+  }
+
+  /**
+   * Show the selection in the rendered rows, in the checkbox of the header and in the selection toolbar.
+   */
+  #updateSelection() {
+    const table = document.querySelector('#' + this.id);
+
+    // Without the selection column, the rows can still be selected programmatically.
+    if (table && this.selectable) {
+      Array.from(table.querySelectorAll('.ft-table-row')).forEach((rowElement) => {
+        const selected = this.selectedRows.has(this.shownRows[rowElement.getAttribute('data-ft-table-row')]);
+
+        rowElement.querySelector('.ft-table-select-row').checked = selected;
+        rowElement.toggleAttribute('data-ft-selected', selected);
+        rowElement.style.boxShadow = selected ? selectedRowShadow : '';
+      });
+
+      // The checkbox of the header is checked if all the filtered rows are selected, indeterminate if only some are.
+      const selectAll = table.querySelector('.ft-table-select-all');
+
+      if (selectAll) {
+        const selectedShownRows = this.shownRows.filter((row) => this.selectedRows.has(row)).length;
+
+        selectAll.checked = selectedShownRows > 0 && selectedShownRows === this.shownRows.length;
+        selectAll.indeterminate = selectedShownRows > 0 && selectedShownRows < this.shownRows.length;
+      }
+    }
+
+    if (this.controls.selection) {
+      this.controls.selection.hidden = this.selectedRows.size === 0;
+      this.controls.selection.querySelector('.ft-table-selection-count').textContent =
+        this.selectedRows.size + ' selected';
+    }
+  }
+
+  /**
+   * Apply a layout of the columns (see getLayout). The columns missing from the layout (e.g. added after it was
+   * saved) are shown after the others, as declared.
+   *
+   * @param {Object} layout The layout of the columns: 'order', 'hidden' and 'widths', referring to the source fields.
+   */
+  #applyLayout(layout) {
+    const columnUIDs = new Map(this.columns.list.map((column) => [column.sourceField, column.uid]));
+
+    const order = (layout.order ? layout.order : [])
+      .map((sourceField) => columnUIDs.get(sourceField))
+      .filter((columnUID) => columnUID !== undefined);
+
+    this.columns.order = order.concat(this.columns.order.filter((columnUID) => !order.includes(columnUID)));
+
+    // Only the columns with a label can be hidden or shown by the users.
+    const hidden = layout.hidden ? layout.hidden : [];
+
+    for (const columnUID of order) {
+      if (this.columns.labelMap.get(columnUID)) {
+        this.columns.visibilityMap.set(columnUID, !hidden.includes(this.columns.list[columnUID].sourceField));
+      }
+    }
+
+    this.columns.widthMap.clear();
+
+    Object.entries(layout.widths ? layout.widths : {}).forEach(([sourceField, width]) => {
+      if (columnUIDs.has(sourceField) && width > 0) {
+        this.columns.widthMap.set(columnUIDs.get(sourceField), width);
+      }
+    });
+  }
+
+  /**
+   * Restore the layout of the columns saved in localStorage, if any.
+   */
+  #restoreLayout() {
+    storage_utilities
+      .getStoredItem(this.layoutKey)
+      .then((layout) => {
+        if (layout) {
+          this.#applyLayout(layout);
+
+          this.#updateLayout(false);
+        }
+      })
+      .catch((error) => {
+        alert(error);
+      });
+  }
+
+  /**
+   * Show the layout of the columns in the table and, optionally, save it in localStorage.
+   *
+   * @param {boolean} save Default: true. Save the layout.
+   */
+  #updateLayout(save = true) {
+    if (save) {
+      storage_utilities.setStoredItem(this.layoutKey, this.getLayout()).catch((error) => {
+        alert(error);
+      });
+    }
+
+    if (document.querySelector('#' + this.id + '-body')) {
+      // The search box searches the visible columns.
+      if (this.search) {
+        this.data.createSearchIndex(this.#getVisibleColumns());
+      }
+
+      this.#rebuildTable();
+    }
+  }
+
+  /**
+   * Re-create the table (e.g. after a change of the layout), keeping the sorting and the filters.
+   */
+  #rebuildTable() {
+    this.building = true;
+
+    this.#createTableStructure(false);
+
+    this.#updateTextFilters();
+
+    this.#addTableEventListeners();
+
+    this.#setDisplayMode();
+
+    this.building = false;
+  }
+
+  /**
+   * Check that a column exists.
+   *
+   * @param {string} columnUID The UID of the column.
+   */
+  #checkColumn(columnUID) {
+    if (!this.columns.visibilityMap.has(columnUID)) {
+      throw `Table Error: column "${columnUID}" NOT found.`;
+    }
+  }
+
   /**
    * Collect all the unique elements of a given column, and return them as HTML <option> elements.
    *
@@ -177,14 +758,19 @@ export class Table {
     let uniqueValues = [];
 
     data.forEach((row, index) => {
-      uniqueValues.push(row[this.data.variables.maps.index.get(columnUID)]);
+      const value = row[this.data.variables.maps.index.get(columnUID)];
+
+      // Missing values can't be selected.
+      if (value !== null && value !== undefined) {
+        uniqueValues.push(value);
+      }
     });
 
-    let options = '<option val=""></option>';
+    let options = '<option value=""></option>';
 
     if (uniqueValues.length > 0) {
       uniqueValues.unique().forEach((value, index) => {
-        options += `<option val="${value}" ${optionSelected == value ? 'selected' : ''}>${value}
+        options += `<option value="${value}" ${optionSelected == value ? 'selected' : ''}>${value}
                             </option>`;
       });
     }
@@ -193,20 +779,56 @@ export class Table {
   }
 
   /**
-   * Update the status of the sorting toggle according to the sorting Map.
+   * Update the status of the sorting toggles and the priority badges according to the sorting Map.
    */
-  #setSortingTogglesToDefault() {
+  #updateSortingToggles() {
     const table = document.querySelector('#' + this.id);
 
-    this.data.variables.maps.defaultOrder.forEach((defaultOrder, columnUID) => {
-      const sortingButton = table.querySelector('.sort-' + defaultOrder + '[data-ft-column="' + columnUID + '"]');
+    // The priority badges are shown only when the records are sorted by more than one column.
+    const sortingKeys = Array.from(this.data.variables.maps.sorting.values()).filter((order) => order !== 'none');
 
-      if (sortingButton) {
-        sortingButton.classList.add('active');
+    this.data.variables.maps.sorting.forEach((order, columnUID) => {
+      Array.from(table.querySelectorAll('.in-table-sorting[data-ft-column="' + columnUID + '"]')).forEach(
+        (sortingButton, index) => {
+          const isActive = sortingButton.getAttribute('data-ft-sorting') === order;
+
+          sortingButton.classList.toggle('active', isActive);
+          sortingButton.setAttribute('aria-pressed', isActive);
+        }
+      );
+
+      const sortPriorityBadge = table.querySelector('.sort-priority-badge[data-ft-column="' + columnUID + '"]');
+
+      if (sortPriorityBadge) {
+        const priority = order !== 'none' ? this.data.variables.maps.sortingPriority.get(columnUID) : undefined;
+
+        sortPriorityBadge.textContent = priority ? priority : '';
+        sortPriorityBadge.setAttribute('data-ft-sort-priority', priority ? priority : '');
+        sortPriorityBadge.hidden = !priority || sortingKeys.length < 2;
       }
     });
   }
 
+  /**
+   * Show the filters of the filtering Map in the text filters of the headers, e.g. after a snapshot is restored.
+   */
+  #updateTextFilters() {
+    const table = document.querySelector('#' + this.id);
+
+    Array.from(table.querySelectorAll('.in-table-text-search')).forEach((textFilter, index) => {
+      const filter = this.data.variables.maps.filtering.get(textFilter.getAttribute('data-ft-column'));
+
+      // The bounds of the 'between' operator are separated by '..' (see createHeaderFilterQuery).
+      textFilter.value = !filter
+        ? ''
+        : typeof filter === 'string'
+        ? filter
+        : filter.operator === 'between'
+        ? filter.value + '..' + filter.valueTo
+        : filter.value;
+    });
+  }
+
   /**
    * For each existing header that has a select filter, get the unique values and replace the existing options.
    *
@@ -217,16 +839,44 @@ export class Table {
 
     // Update select filters, if they exist.
     this.columns.filterMap.forEach((filterType, columnUID) => {
-      if (filterType == 'select') {
-        const selectFilter = table.querySelector('select[data-ft-column="' + columnUID + '"]');
+      // The filters of the hidden columns aren't shown.
+      const selectFilter =
+        filterType == 'select' ? table.querySelector('select[data-ft-column="' + columnUID + '"]') : null;
+
+      if (selectFilter) {
+        const filter = this.data.variables.maps.filtering.get(columnUID);
 
-        const optionSelected = this.data.variables.maps.filtering.get(columnUID);
+        const optionSelected = filter ? filter.value : '';
 
         selectFilter.innerHTML = this.#createSelectFilterOptions(columnUID, data, optionSelected);
       }
     });
   }
 
+  /**
+   * Create the filter to be stored in the data collection from the value inputted in a header filter.
+   *
+   * @param {string} columnUID The UID of the column that will be filtered.
+   * @param {string} value The value of the header filter. For the 'between' operator, the lower and upper bounds are
+   * separated by '..', e.g. '10..20'.
+   */
+  #createHeaderFilterQuery(columnUID, value) {
+    const operator = this.columns.filterOperatorMap.get(columnUID);
+
+    // An empty header filter removes the filter, whatever the operator.
+    if (!value) {
+      return null;
+    }
+
+    if (operator === 'between') {
+      const bounds = value.split('..');
+
+      return { operator: operator, value: bounds[0].trim(), valueTo: bounds[1] ? bounds[1].trim() : '' };
+    }
+
+    return { operator: operator, value: value };
+  }
+
   /**
    * Create a filter input box for a given column.
    *
@@ -245,15 +895,27 @@ export class Table {
     } else if (filterType != 'none' && filterType == 'select') {
       const targetData = data ? data : this.data.dataSet;
 
+      // The filter applied, if any, is kept when the headers are re-created (e.g. after a change of the layout).
+      const appliedFilter = this.data.variables.maps.filtering.get(columnUID);
+
       filter = `<select  class="in-table-select form-select form-select-sm" data-ft-column="${columnUID}" 
                   aria-label="Filter column">
-                  ${this.#createSelectFilterOptions(columnUID, targetData)}
+                  ${this.#createSelectFilterOptions(columnUID, targetData, appliedFilter ? appliedFilter.value : '')}
                 </select>`;
     }
 
     return filter;
   }
 
+  /**
+   * Return the UIDs of the visible columns, in the order they are shown.
+   *
+   * @returns An array of column UIDs.
+   */
+  #getVisibleColumns() {
+    return this.columns.order.filter((columnUID) => this.columns.visibilityMap.get(columnUID));
+  }
+
   /**
    * Create the HTML header elements to be added to the table.
    *
@@ -263,63 +925,96 @@ export class Table {
     // Build the head of the table
     let headers = '';
 
-    let headersCounter = 0;
-
-    this.columns.visibilityMap.forEach((visible, columnUID) => {
-      if (visible === true) {
-        const roundedCorner =
-          headersCounter === 0
-            ? 'border-top-left-radius:0.4rem;'
-            : headersCounter + 1 === this.columns.visibilityMap.size
-            ? 'border-top-right-radius:0.4rem;'
-            : '';
-
-        const columnLabel = this.columns.labelMap.get(columnUID);
-
-        if (columnLabel) {
-          // Build the head of the table
-          headers += `
-                        <div class="ft-table-header flex-fill text-center border-top border-end 
-                            ${headersCounter === 0 ? 'border-start' : ''} align-top px-4 py-3 bg-light" 
-                            style="white-space: nowrap;${roundedCorner}">
-                                <div class="d-flex justify-content-between mb-1" style="min-width:7rem;">
-                                    <button href="" data-ft-column="${columnUID}" data-ft-sorting="desc" 
-                                        data-bs-toggle="button" role="button" id="${this.id}-btn-desc-${columnUID}" 
-                                        class="in-table-sorting sorting-btn-${columnUID} sort-desc btn 
-                                        btn-outline-secondary m-0 mb-2 me-3 p-0 rounded-circle" 
-                                        style="position: relative;top: -0.1rem;min-width: 1.7rem; max-width: 1.7rem; 
-                                        min-height: 1.7rem; max-height: 1.7rem;" title="Descending Order" 
-                                        ${this.columns.sortMap.get(columnUID) == false ? `hidden` : ''}>
-                                            
-                                            <span style="position:relative;top:-0.03rem;left:-0.03rem;">&#9660;</span>
-                                    
-                                    </button>
-                                    <div class="mb-2 ${this.columns.sortMap.get(columnUID) == false ? 'mx-auto' : ''}">
-                                        <strong>
-                                            ${columnLabel}
-                                        </strong>
-                                    </div>
-                                    <button href="" data-ft-column="${columnUID}" data-ft-sorting="asc" data-bs-toggle="button" 
-                                        role="button" id="${this.id}-btn-asc-${columnUID}" 
-                                        class="in-table-sorting sorting-btn-${columnUID} sort-asc btn btn-outline-secondary 
-                                        m-0 mb-2 ms-3 p-0 rounded-circle" 
-                                        style="position: relative;top: -0.1rem;min-width: 1.7rem; max-width: 1.7rem; 
-                                        min-height: 1.7rem; max-height: 1.7rem;" title="Ascending Order" 
-                                        ${this.columns.sortMap.get(columnUID) == false ? `hidden` : ''}>
-                                        
-                                            <span style="position:relative;top:-0.15rem;left:-0.03rem;">&#9650;</span>
-                                    
-                                    </button>
-                            </div>    
-                            <div class="align-self-center">${this.#createHeaderFilter(columnUID, data)}</div>  
-                        </div>`;
-        } else {
-          headers += `<div class="ft-table-header flex-fill text-center align-top px-4 py-3" 
-                                    style="white-space: nowrap;${roundedCorner}"></div>`;
-        }
+    // The selection column comes first.
+    if (this.selectable) {
+      headers += `<div class="ft-table-header ft-table-selection text-center border-top border-end border-start 
+                      align-top px-3 py-3 bg-light" style="flex:0 0 auto;border-top-left-radius:0.4rem;">
+                    <input type="checkbox" class="ft-table-select-all form-check-input" 
+                      title="Select all the filtered rows" aria-label="Select all the filtered rows">
+                  </div>`;
+    }
 
-        headersCounter += 1;
+    let headersCounter = this.selectable ? 1 : 0;
+
+    const visibleHeaders = this.#getVisibleColumns().length + headersCounter;
+
+    this.#getVisibleColumns().forEach((columnUID) => {
+      const roundedCorner =
+        headersCounter === 0
+          ? 'border-top-left-radius:0.4rem;'
+          : headersCounter + 1 === visibleHeaders
+          ? 'border-top-right-radius:0.4rem;'
+          : '';
+
+      const columnLabel = this.columns.labelMap.get(columnUID);
+
+      // The width set by the users, if any, replaces the flexible one.
+      const width = this.columns.widthMap.get(columnUID);
+      const widthStyle = width ? `flex:0 0 auto;width:${width}px;` : '';
+
+      // The handle to resize the column, and the label used to drag it.
+      const resizeHandle = this.columnManagement
+        ? `<div class="ft-table-resize-handle" title="Drag to resize the column" 
+              style="position:absolute;top:0;right:0;width:0.5rem;height:100%;cursor:col-resize;"></div>`
+        : '';
+
+      const dragHandle = this.columnManagement
+        ? 'class="ft-table-column-handle" draggable="true" style="cursor:grab;" title="Drag to move the column"'
+        : '';
+
+      if (columnLabel) {
+        // Build the head of the table
+        headers += `
+                      <div class="ft-table-header ${width ? '' : 'flex-fill'} text-center border-top border-end 
+                          ${headersCounter === 0 ? 'border-start' : ''} align-top px-4 py-3 bg-light" 
+                          data-ft-column="${columnUID}" 
+                          style="position:relative;white-space: nowrap;${roundedCorner}${widthStyle}">
+                              <div class="d-flex justify-content-between mb-1" style="min-width:7rem;">
+                                  <button href="" data-ft-column="${columnUID}" data-ft-sorting="desc" 
+                                      role="button" aria-pressed="false" id="${this.id}-btn-desc-${columnUID}" 
+                                      class="in-table-sorting sorting-btn-${columnUID} sort-desc btn 
+                                      btn-outline-secondary m-0 mb-2 me-3 p-0 rounded-circle" 
+                                      style="position: relative;top: -0.1rem;min-width: 1.7rem; max-width: 1.7rem; 
+                                      min-height: 1.7rem; max-height: 1.7rem;" 
+                                      title="Descending Order (Shift+Click to add as further sorting key)" 
+                                      ${this.columns.sortMap.get(columnUID) == false ? `hidden` : ''}>
+                                          
+                                          <span style="position:relative;top:-0.03rem;left:-0.03rem;">&#9660;</span>
+                                  
+                                  </button>
+                                  <div class="mb-2 ${this.columns.sortMap.get(columnUID) == false ? 'mx-auto' : ''}">
+                                      <span class="badge bg-light text-primary border rounded-pill 
+                                          sort-priority-badge me-1" data-ft-column="${columnUID}" 
+                                          data-ft-sort-priority="" title="Sorting Priority" hidden></span>
+                                      <strong ${dragHandle}>
+                                          ${columnLabel}
+                                      </strong>
+                                  </div>
+                                  <button href="" data-ft-column="${columnUID}" data-ft-sorting="asc" 
+                                      role="button" aria-pressed="false" id="${this.id}-btn-asc-${columnUID}" 
+                                      class="in-table-sorting sorting-btn-${columnUID} sort-asc btn btn-outline-secondary 
+                                      m-0 mb-2 ms-3 p-0 rounded-circle" 
+                                      style="position: relative;top: -0.1rem;min-width: 1.7rem; max-width: 1.7rem; 
+                                      min-height: 1.7rem; max-height: 1.7rem;" 
+                                      title="Ascending Order (Shift+Click to add as further sorting key)" 
+                                      ${this.columns.sortMap.get(columnUID) == false ? `hidden` : ''}>
+                                      
+                                          <span style="position:relative;top:-0.15rem;left:-0.03rem;">&#9650;</span>
+                                  
+                                  </button>
+                          </div>    
+                          <div class="align-self-center">${this.#createHeaderFilter(columnUID, data)}</div>  
+                          ${resizeHandle}
+                      </div>`;
+      } else {
+        headers += `<div class="ft-table-header ${width ? '' : 'flex-fill'} text-center align-top px-4 py-3" 
+                                  data-ft-column="${columnUID}" 
+                                  style="position:relative;white-space: nowrap;${roundedCorner}${widthStyle}">
+                                    ${resizeHandle}
+                                  </div>`;
       }
+
+      headersCounter += 1;
     });
 
     headersCounter = 0;
@@ -332,37 +1027,97 @@ export class Table {
    *
    * @param {[string]} data An array of arrays representing the rows to be added to the table.
    */
-  #createRows(data) {
+  #createRows(data, firstIndex = 0, lastIndex = data.length) {
     // Build the body of the table
     let rows = '';
 
-    data.forEach((row, index) => {
+    // The words of the full-text search to be highlighted in the searched columns.
+    const searchTerms = this.data.searchQuery ? this.data.tokenize(this.data.searchQuery) : [];
+    const searchedColumnUIDs = this.data.searchIndex.variableUIDs;
+
+    const visibleColumns = this.#getVisibleColumns();
+
+    data.slice(firstIndex, lastIndex).forEach((row, position) => {
+      // The rows keep their position among all the rows to be shown, even if only some of them are rendered.
+      const index = firstIndex + position;
+
       let cells = '';
 
       let cellsCounter = 0;
 
-      this.columns.visibilityMap.forEach((visible, columnUID) => {
-        if (visible) {
-          // Parse the data of each cell according to its type
-          const styledCell = this.#setCellStyle(row, columnUID);
-
-          cells += `<div data-ft-table-column="${columnUID}" data-ft-table-cell="${row[columnUID]}"
-                            class="ft-table-cell border-bottom border-end ${cellsCounter === 0 ? 'border-start' : ''} 
-                            ${index === 0 ? 'border-bottom' : ''} p-2" 
-                            style="display:flex;align-items:center;justify-content:center;text-align:center;">
-                                ${
-                                  styledCell !== null ? styledCell : ''
-                                }                            
-                         </div>`;
-
-          cellsCounter += 1;
+      const selected = this.selectedRows.has(row);
+
+      // The selection column comes first.
+      if (this.selectable) {
+        cells += `<div class="ft-table-cell ft-table-selection border-bottom border-end border-start p-2" 
+                    style="display:flex;align-items:center;justify-content:center;">
+                    <input type="checkbox" class="ft-table-select-row form-check-input" aria-label="Select the row" 
+                      ${selected ? 'checked' : ''}>
+                  </div>`;
+
+        cellsCounter += 1;
+      }
+
+      // The change highlighted after a merge, if any.
+      const change = this.changes.get(row);
+
+      // The columns edited in the table, if any.
+      const edits = this.edits.get(row);
+
+      // The cluster of duplicates under review, if any. Each cluster starts with a border.
+      const cluster = this.duplicates ? this.duplicates.get(row) : undefined;
+      const clusterStart = cluster !== undefined && (index === 0 || this.duplicates.get(data[index - 1]) !== cluster);
+
+      visibleColumns.forEach((columnUID) => {
+        // Parse the data of each cell according to its type
+        const styledCell = this.#setCellStyle(
+          row,
+          columnUID,
+          !searchedColumnUIDs || searchedColumnUIDs.includes(columnUID) ? searchTerms : []
+        );
+
+        const edited = edits !== undefined && edits.has(columnUID);
+
+        let cellHighlighting = '';
+
+        if (edited) {
+          cellHighlighting = this.changeHighlighting.edited;
+        } else if (change && change.type === 'modified' && change.variableUIDs.has(columnUID)) {
+          cellHighlighting = this.changeHighlighting.modified;
         }
+
+        cells += `<div data-ft-table-column="${columnUID}" data-ft-table-cell="${
+          row[columnUID] !== null && row[columnUID] !== undefined ? row[columnUID] : ''
+        }" ${edited ? 'data-ft-edited' : ''}
+                          class="ft-table-cell border-bottom border-end ${cellsCounter === 0 ? 'border-start' : ''} 
+                          ${index === 0 ? 'border-bottom' : ''} ${cellHighlighting} 
+                          ${this.columns.editorMap.has(columnUID) ? 'ft-table-editable' : ''} p-2" 
+                          style="display:flex;align-items:center;justify-content:center;text-align:center;">
+                              ${
+                                styledCell !== null ? styledCell : ''
+                              }                            
+                       </div>`;
+
+        cellsCounter += 1;
       });
 
       cellsCounter = 0;
 
-      rows += `<div data-ft-table-row="${index}" class="ft-table-row d-flex" 
-                ${this.striped && index % 2 !== 0 ? 'style="background-color:var(--bs-light);"' : ''}>
+      // The striping background would hide the highlighting of the added rows.
+      const added = change && change.type === 'added';
+      const rowHighlighting = added ? this.changeHighlighting.added : '';
+      const clusterHighlighting = clusterStart && index > 0 ? 'border-top border-2 border-secondary' : '';
+
+      // The duplicates under review are striped by cluster instead of by row.
+      const shaded = this.duplicates ? this.duplicatesOrder.get(cluster) % 2 !== 0 : this.striped && index % 2 !== 0;
+
+      rows += `<div data-ft-table-row="${index}" class="ft-table-row d-flex ${rowHighlighting} ${clusterHighlighting}" 
+                ${change ? 'data-ft-change="' + change.type + '"' : ''}
+                ${cluster !== undefined ? 'data-ft-duplicate-cluster="' + cluster + '"' : ''}
+                ${selected ? 'data-ft-selected' : ''}
+                style="${shaded && !added ? 'background-color:var(--bs-light);' : ''}${
+        selected ? 'box-shadow:' + selectedRowShadow + ';' : ''
+      }">
                   ${cells}
                 </div>`;
     });
@@ -371,46 +1126,399 @@ export class Table {
   }
 
   /**
-   * Create the HTML table, populated with the headers and the row, fix the styling, and add event listeners.
+   * Calculate the aggregations of the columns' footer (see the columns' footer property).
    *
-   * @param {[string]} data An array of arrays representing the rows used to populate the table's body.
+   * @param {[string]} rows An array of arrays representing the rows to be aggregated, e.g. the ones shown.
+   * @returns A map with the aggregated value of each column with a footer.
    */
-  #createTableStructure(data) {
-    // Sort Data according to the default Order
-    this.data.variables.maps.defaultOrder.forEach((defaultOrder, columnUID) => {
-      this.data.variables.maps.sorting.set(columnUID, defaultOrder);
-    });
+  #getFooterValues(rows) {
+    let footerValues = new Map();
 
-    // Set the data according to the "order" property specified in the manifest.
-    data = this.data.sortRecords(data);
+    this.columns.footerMap.forEach((footer, columnUID) => {
+      if (typeof footer === 'function') {
+        const index = this.data.variables.maps.index.get(columnUID);
 
-    // Create the table's header
-    const headers = this.#createHeaders(data);
+        const values = rows
+          .map((row) => row[index])
+          .filter((value) => value !== null && value !== undefined && value !== '');
 
-    const tableHead = `<div id="${this.id}-head" class="ft-table-head d-flex border-bottom">
-                          ${headers}
-                        </div>`;
+        footerValues.set(columnUID, footer(values, rows));
+      } else {
+        footerValues.set(columnUID, this.data.getAggregate(columnUID, footer, rows));
+      }
+    });
+
+    return footerValues;
+  }
+
+  /**
+   * Create the cells of the footer of the table, showing the aggregations of the rows.
+   *
+   * @param {[string]} rows An array of arrays representing the rows shown in the table.
+   * @returns The HTML of the footer's content.
+   */
+  #createFooter(rows) {
+    const footerValues = this.#getFooterValues(rows);
+
+    let cells = '';
+
+    // The selection column comes first.
+    if (this.selectable) {
+      cells += `<div class="ft-table-footer-cell ft-table-selection border-bottom border-end border-start p-2"></div>`;
+    }
+
+    this.#getVisibleColumns().forEach((columnUID, position) => {
+      const value = footerValues.get(columnUID);
+
+      let content = '';
+
+      if (footerValues.has(columnUID)) {
+        content =
+          value !== null && value !== undefined
+            ? value
+            : `<span class="ft-null-value text-secondary">${this.columns.nullDisplayMap.get(columnUID)}</span>`;
+      }
+
+      cells += `<div data-ft-table-column="${columnUID}" 
+                  class="ft-table-footer-cell border-bottom border-end 
+                  ${position === 0 && !this.selectable ? 'border-start' : ''} fw-bold p-2" 
+                  style="display:flex;align-items:center;justify-content:center;text-align:center;">
+                    ${content}
+                </div>`;
+    });
+
+    return cells;
+  }
+
+  /**
+   * Recalculate the footer of the table on the rows shown, if any column has a footer.
+   */
+  #updateFooter() {
+    const tableFoot = document.querySelector('#' + this.id + '-foot');
+
+    if (tableFoot) {
+      tableFoot.innerHTML = this.#createFooter(this.shownRows);
+    }
+  }
+
+  /**
+   * Select the rows to be shown: if duplicates are under review, only them, grouped by cluster (in the order of their
+   * first row).
+   *
+   * @param {[string]} data An array of arrays representing the sorted and filtered rows.
+   * @returns The rows to be shown.
+   */
+  #getRowsToShow(data) {
+    if (!this.duplicates) {
+      return data;
+    }
+
+    let clusters = new Map();
+
+    for (const row of data) {
+      const cluster = this.duplicates.get(row);
+
+      if (cluster !== undefined) {
+        if (!clusters.has(cluster)) {
+          clusters.set(cluster, []);
+        }
+
+        clusters.get(cluster).push(row);
+      }
+    }
+
+    this.duplicatesOrder = new Map(Array.from(clusters.keys()).map((cluster, position) => [cluster, position]));
+
+    return [].concat(...clusters.values());
+  }
+
+  /**
+   * Create the rows of the body of the table. With virtual scrolling, only the rows in (and near) the visible part of
+   * the table are rendered, between two spacers as high as the rows left out.
+   *
+   * @param {[string]} rows An array of arrays representing the rows to be shown.
+   * @returns The HTML of the body's content.
+   */
+  #createBodyContent(rows) {
+    this.shownRows = rows;
+
+    if (!this.virtualScrolling) {
+      return this.#createRows(rows);
+    }
+
+    const { first, last } = this.#getVirtualWindow();
+    const rowHeight = this.#getVirtualRowHeight();
+
+    this.virtualScrolling.first = first;
+    this.virtualScrolling.last = last;
+
+    return `<div class="ft-table-spacer" style="height:${first * rowHeight}px;"></div>
+            ${this.#createRows(rows, first, last)}
+            <div class="ft-table-spacer" style="height:${(rows.length - last) * rowHeight}px;"></div>`;
+  }
+
+  /**
+   * Replace the rows of the body of the table, and update the select filters accordingly.
+   *
+   * @param {[string]} refreshedData An array of arrays representing the rows to be shown.
+   */
+  #updateBody(refreshedData) {
+    refreshedData = this.#getRowsToShow(refreshedData);
+
+    // Update select filters, if they exist.
+    this.#updateSelectFilterOptions(refreshedData);
+
+    const tableBody = document.querySelector('#' + this.id + '-body');
+
+    tableBody.innerHTML = this.#createBodyContent(refreshedData);
+
+    // The footer aggregates the rows shown, e.g. the filtered ones.
+    this.#updateFooter();
+
+    this.#processRenderedRows();
+  }
+
+  /**
+   * Run the actions that depend on the rendered rows.
+   */
+  #processRenderedRows() {
+    // With virtual scrolling, the height of the rows is measured once they are rendered.
+    if (this.virtualScrolling) {
+      this.#measureVirtualRows();
+    }
+
+    // The checkbox of the header and the selection toolbar depend on the rows shown.
+    if (this.selectable) {
+      this.#updateSelection();
+    }
+
+    // If present, apply conditional formatting
+    this.#applyConditionalFormatting();
+
+    // If present, run the custom post processing functions to manipulate the DOM elements of the body.
+    this.#runCustomPostProcessing();
+  }
+
+  /**
+   * Return the height of the rows used to place the rendered rows when virtual scrolling is enabled.
+   *
+   * @returns The height of the rows in pixels: the declared one, the measured one or, before any row is rendered, an
+   * estimate.
+   */
+  #getVirtualRowHeight() {
+    if (this.virtualScrolling.rowHeight) {
+      return this.virtualScrolling.rowHeight;
+    }
+
+    return this.virtualScrolling.measuredRowHeight ? this.virtualScrolling.measuredRowHeight : 40;
+  }
+
+  /**
+   * Return the range of rows to be rendered with virtual scrolling: the visible ones, and the overscan around them.
+   *
+   * @returns An object with the index of the first row to be rendered ('first') and of the one after the last ('last').
+   */
+  #getVirtualWindow() {
+    const rowsCount = this.shownRows.length;
+    const rowHeight = this.#getVirtualRowHeight();
+    const overscan = this.virtualScrolling.overscan;
+
+    const container = this.virtualScrolling.container;
+    const tableBody = document.querySelector('#' + this.id + '-body');
+
+    // Before the table is displayed, the first rows fitting the window are rendered.
+    let offset = 0;
+    let visibleHeight = window.innerHeight;
+
+    // The pixels of the body above the top of the visible area, and the height of the visible area.
+    if (container && tableBody) {
+      const visibleTop = container === window ? 0 : container.getBoundingClientRect().top;
+
+      offset = visibleTop - tableBody.getBoundingClientRect().top;
+      visibleHeight = container === window ? window.innerHeight : container.clientHeight;
+    }
+
+    // The last rows are rendered if the offset exceeds them, e.g. until the body shrunk by a filter is scrolled back.
+    const lastFirst = Math.max(rowsCount - Math.ceil(visibleHeight / rowHeight) - overscan, 0);
+
+    const first = Math.min(Math.max(Math.floor(offset / rowHeight) - overscan, 0), lastFirst);
+    const last = Math.min(Math.max(Math.ceil((offset + visibleHeight) / rowHeight) + overscan, first), rowsCount);
+
+    return { first: first, last: last };
+  }
+
+  /**
+   * Measure the height of the rendered rows (unless declared), and resize the spacers of the rows left out
+   * accordingly.
+   */
+  #measureVirtualRows() {
+    const tableBody = document.querySelector('#' + this.id + '-body');
+
+    if (this.virtualScrolling.rowHeight || !tableBody) {
+      return;
+    }
+
+    const renderedRows = Array.from(tableBody.querySelectorAll('.ft-table-row'));
+    const renderedHeight = renderedRows.reduce((height, row) => height + row.offsetHeight, 0);
+
+    if (renderedHeight > 0) {
+      this.virtualScrolling.measuredRowHeight = renderedHeight / renderedRows.length;
+
+      const spacers = tableBody.querySelectorAll('.ft-table-spacer');
+      const rowHeight = this.virtualScrolling.measuredRowHeight;
+
+      spacers[0].style.height = this.virtualScrolling.first * rowHeight + 'px';
+      spacers[1].style.height = (this.shownRows.length - this.virtualScrolling.last) * rowHeight + 'px';
+    }
+  }
+
+  /**
+   * Render the rows revealed by scrolling, if virtual scrolling is enabled and the range of rows to be rendered has
+   * changed.
+   */
+  #updateVirtualRows() {
+    const tableBody = document.querySelector('#' + this.id + '-body');
+
+    if (!tableBody) {
+      return;
+    }
+
+    const { first, last } = this.#getVirtualWindow();
+
+    if (first !== this.virtualScrolling.first || last !== this.virtualScrolling.last) {
+      // Keep the focus on the checkbox of the same row, e.g. when moving through the rows with the arrows.
+      const focusedElement = document.activeElement;
+      const focusedRow =
+        focusedElement && tableBody.contains(focusedElement) && focusedElement.classList.contains('ft-table-select-row')
+          ? focusedElement.closest('.ft-table-row').getAttribute('data-ft-table-row')
+          : null;
+
+      tableBody.innerHTML = this.#createBodyContent(this.shownRows);
+
+      this.#processRenderedRows();
+
+      const checkbox =
+        focusedRow !== null
+          ? tableBody.querySelector('[data-ft-table-row="' + focusedRow + '"] .ft-table-select-row')
+          : null;
+
+      if (checkbox) {
+        checkbox.focus({ preventScroll: true });
+      }
+    }
+  }
+
+  /**
+   * Render the rows as the table is scrolled. Depending on the display mode, the rows are revealed by scrolling the
+   * body ('sticky'), the table ('viewport') or the page ('standard').
+   */
+  #enableVirtualScrolling() {
+    const table = document.querySelector('#' + this.id);
+
+    let container = window;
+
+    if (this.mode == 'sticky') {
+      container = table.querySelector('.ft-table-outer-body');
+    } else if (this.mode == 'viewport') {
+      container = table;
+    }
+
+    this.virtualScrolling.container = container;
+
+    // The rows are rendered at most once per frame.
+    let renderRequested = false;
+
+    const renderOnScroll = () => {
+      if (!renderRequested) {
+        renderRequested = true;
+
+        window.requestAnimationFrame(() => {
+          renderRequested = false;
+
+          // The table might have been re-created in the meantime.
+          if (this.virtualScrolling.container === container) {
+            this.#updateVirtualRows();
+          }
+        });
+      }
+    };
+
+    // The window outlives the table, so its listeners are added once.
+    if (container !== window) {
+      container.addEventListener('scroll', renderOnScroll);
+    }
+
+    if (!this.virtualScrolling.windowListener) {
+      this.virtualScrolling.windowListener = () => {
+        if (this.virtualScrolling.container) {
+          this.virtualScrolling.container === window ? renderOnScroll() : this.#updateVirtualRows();
+        }
+      };
+
+      window.addEventListener('scroll', this.virtualScrolling.windowListener);
+      window.addEventListener('resize', this.virtualScrolling.windowListener);
+    }
+
+    // Render the rows now visible, as the display mode may have changed the visible area.
+    this.#updateVirtualRows();
+  }
+
+  /**
+   * Create the HTML table, populated with the headers and the row, fix the styling, and add event listeners.
+   *
+   * @param {boolean} resetSorting Default: true. Sort the rows according to the default order of the columns.
+   */
+  #createTableStructure(resetSorting = true) {
+    // The refreshes still being processed (see refreshTable) refer to the previous structure.
+    this.refreshRequests += 1;
+
+    // Sort Data according to the default Order
+    if (resetSorting) {
+      this.data.resetSortingOrder();
+    }
+
+    // Set the data according to the "order" property specified in the manifest, and store them in the temporary
+    // data set.
+    const data = this.data.processRecords();
+
+    // Create the table's header
+    const headers = this.#createHeaders(data);
+
+    const tableHead = `<div id="${this.id}-head" class="ft-table-head d-flex border-bottom">
+                          ${headers}
+                        </div>`;
 
     // Create the table's body
-    let rows = this.#createRows(data);
+    let rows = this.#createBodyContent(this.#getRowsToShow(data));
+
+    // The visible area is set along with the display mode (see #enableVirtualScrolling).
+    if (this.virtualScrolling) {
+      this.virtualScrolling.container = null;
+    }
 
     const tableBody = `<div id="${this.id}-body" class="ft-table-body">
                           ${rows}
                         </div>`;
 
+    // Create the table's footer, kept at the bottom of the visible area, if any column has one.
+    const tableFoot =
+      this.columns.footerMap.size > 0
+        ? `<div id="${this.id}-foot" class="ft-table-foot d-flex bg-light" style="position:sticky;bottom:0;z-index:1;">
+              ${this.#createFooter(this.shownRows)}
+            </div>`
+        : '';
+
     // Create the table and add it into the DOM.
     const tableMain = `<div id="${this.id}" class="ft-table-main mb-3">                         
                           ${tableHead}
                           ${tableBody}
+                          ${tableFoot}
                         </div>`;
 
     const pointOfEntry = document.querySelector('#' + this.pointOfEntry);
 
     pointOfEntry.innerHTML = tableMain;
 
-    // Add a copy of the post processed data in the temporary rows array.
-    this.data.temporaryDataSet = data;
-
     // Add table management controls to the newly created table.
     this.#createTableControls();
 
@@ -421,7 +1529,7 @@ export class Table {
     this.#runCustomPostProcessing();
 
     // Set the sorting button on the table's header according to the default orders.
-    this.#setSortingTogglesToDefault();
+    this.#updateSortingToggles();
 
     const arrangeElements = () => {
       const table = document.querySelector('#' + this.id);
@@ -440,6 +1548,10 @@ export class Table {
         });
       });
 
+      Array.from(table.querySelectorAll('div.ft-table-footer-cell')).forEach((cell, index) => {
+        cell.style.width = columnWidths[index];
+      });
+
       // Adjust the minimum width to fit the smallest width between the table and the point of entry.
       table.style.minWidth =
         Math.min(document.querySelector('#' + this.id + '-head').offsetWidth, pointOfEntry.offsetWidth) + 'px';
@@ -450,21 +1562,74 @@ export class Table {
     // 1) On load
     arrangeElements();
 
-    // 2) When resizing
-    window.addEventListener('resize', (event) => {
-      arrangeElements();
-    });
+    // 2) When resizing, and 3) when elements in the table are added/removed.
+    this.#observeLayout('structure', arrangeElements);
+  }
+
+  /**
+   * Run a function whenever the window is resized or the content of the table changes. The function previously
+   * registered with the same name, e.g. by a previous structure of the table, is removed.
+   *
+   * @param {string} name The name of the function, e.g. 'sticky'.
+   * @param {Function} update The function to be run.
+   */
+  #observeLayout(name, update) {
+    const previous = this.layoutObservers.get(name);
 
-    // 3) When elements in the table are added/removed.
-    const targetNode = document.querySelector('#' + this.id);
-    const config = { attributes: true, childList: true, subtree: true };
+    if (previous) {
+      window.removeEventListener('resize', previous.listener);
+      previous.observer.disconnect();
+    }
 
-    const callback = (mutationsList, observer) => {
-      arrangeElements();
+    const listener = (event) => {
+      update();
     };
 
-    const observer = new MutationObserver(callback);
-    observer.observe(targetNode, config);
+    window.addEventListener('resize', listener);
+
+    const observer = new MutationObserver((mutationsList, observer) => {
+      update();
+    });
+
+    observer.observe(document.querySelector('#' + this.id), { attributes: true, childList: true, subtree: true });
+
+    this.layoutObservers.set(name, { listener: listener, observer: observer });
+  }
+
+  /**
+   * Refresh the table when its data collection changes. Changes occurring before the table is rendered, or while it is
+   * being built, are ignored.
+   *
+   * @param {Object} event The event emitted by the data collection.
+   */
+  #handleDataChange(event) {
+    // The removed rows are no longer selected, even if the table isn't refreshed.
+    if (event.type === 'records_removed') {
+      for (const record of event.detail.records) {
+        this.selectedRows.delete(record);
+      }
+    }
+
+    if (this.building || !document.querySelector('#' + this.id + '-body')) {
+      return;
+    }
+
+    // The highlighted changes, the edits, the selection and the duplicates under review refer to the records replaced
+    // by the snapshot.
+    if (event.type === 'snapshot_restored') {
+      this.changes.clear();
+      this.edits.clear();
+      this.selectedRows.clear();
+      this.duplicates = null;
+
+      this.#updateTextFilters();
+    }
+
+    if (event.type === 'sorting_changed' || event.type === 'snapshot_restored') {
+      this.#updateSortingToggles();
+    }
+
+    this.refreshTable();
   }
 
   /**
@@ -473,16 +1638,36 @@ export class Table {
   #addTableEventListeners() {
     const table = document.querySelector('#' + this.id);
 
+    // FILE IMPORT ---
+    if (this.fileImport !== 'disabled') {
+      table.addEventListener('dragover', (event) => {
+        event.preventDefault();
+
+        table.classList.add('border', 'border-primary');
+      });
+
+      table.addEventListener('dragleave', (event) => {
+        table.classList.remove('border', 'border-primary');
+      });
+
+      table.addEventListener('drop', (event) => {
+        event.preventDefault();
+
+        table.classList.remove('border', 'border-primary');
+
+        if (event.dataTransfer.files.length > 0) {
+          this.importFile(event.dataTransfer.files[0]);
+        }
+      });
+    }
+
     // FILTERING ---
     Array.from(table.querySelectorAll('.in-table-text-search')).forEach((textFilter, index) => {
       textFilter.addEventListener('input', (event) => {
         let targetColumn = event.target.getAttribute('data-ft-column');
         let value = event.target.value;
 
-        // Add the inputted test (if any) in the global variable "this.data.variables.maps.filtering".
-        this.data.variables.maps.filtering.set(targetColumn, value);
-
-        this.refreshTable();
+        this.data.setFilter(targetColumn, this.#createHeaderFilterQuery(targetColumn, value));
       });
     });
 
@@ -491,49 +1676,317 @@ export class Table {
         let targetColumn = event.target.getAttribute('data-ft-column');
         let value = event.target.value;
 
-        // Add the inputted test (if any) in the global variable "this.data.variables.maps.filtering".
-        this.data.variables.maps.filtering.set(targetColumn, value);
-
-        this.refreshTable();
+        this.data.setFilter(targetColumn, this.#createHeaderFilterQuery(targetColumn, value));
       });
     });
 
+    // COLUMN MANAGEMENT ---
+    if (this.columnManagement) {
+      // Reorder: the label of a header is dragged onto another header.
+      let draggedColumn = null;
+
+      table.addEventListener('dragstart', (event) => {
+        const handle = event.target.closest ? event.target.closest('.ft-table-column-handle') : null;
+
+        if (handle) {
+          draggedColumn = handle.closest('.ft-table-header').getAttribute('data-ft-column');
+
+          event.dataTransfer.effectAllowed = 'move';
+          event.dataTransfer.setData('text/plain', draggedColumn);
+        }
+      });
+
+      table.addEventListener('dragover', (event) => {
+        if (draggedColumn !== null && event.target.closest('.ft-table-header[data-ft-column]')) {
+          event.preventDefault();
+        }
+      });
+
+      table.addEventListener('drop', (event) => {
+        const header = event.target.closest('.ft-table-header[data-ft-column]');
+
+        if (draggedColumn !== null && header) {
+          event.preventDefault();
+
+          const targetColumn = header.getAttribute('data-ft-column');
+
+          if (targetColumn !== draggedColumn) {
+            // The column is placed before or after the target, depending on the half of the header it's dropped on.
+            const headerPosition = header.getBoundingClientRect();
+            const after = event.clientX > headerPosition.left + headerPosition.width / 2;
+
+            const otherColumns = this.columns.order.filter((columnUID) => columnUID !== draggedColumn);
+            const position = otherColumns.indexOf(targetColumn) + (after ? 1 : 0);
+
+            this.moveColumn(draggedColumn, position);
+          }
+        }
+
+        draggedColumn = null;
+      });
+
+      table.addEventListener('dragend', (event) => {
+        draggedColumn = null;
+      });
+
+      // Resize: the right edge of a header is dragged. The cells follow the header (see createTableStructure).
+      table.addEventListener('pointerdown', (event) => {
+        if (!event.target.classList.contains('ft-table-resize-handle')) {
+          return;
+        }
+
+        event.preventDefault();
+
+        const header = event.target.closest('.ft-table-header');
+        const startPosition = event.clientX;
+        const startWidth = header.offsetWidth;
+
+        header.classList.remove('flex-fill');
+        header.style.flex = '0 0 auto';
+
+        const resizeColumn = (moveEvent) => {
+          header.style.width = Math.max(startWidth + moveEvent.clientX - startPosition, 40) + 'px';
+        };
+
+        const stopResizing = () => {
+          window.removeEventListener('pointermove', resizeColumn);
+          window.removeEventListener('pointerup', stopResizing);
+
+          this.setColumnWidth(header.getAttribute('data-ft-column'), header.offsetWidth);
+        };
+
+        window.addEventListener('pointermove', resizeColumn);
+        window.addEventListener('pointerup', stopResizing);
+      });
+    }
+
+    // SELECTION ---
+    if (this.selectable) {
+      table.addEventListener('click', (event) => {
+        if (event.target.classList.contains('ft-table-select-row')) {
+          const row = this.shownRows[event.target.closest('.ft-table-row').getAttribute('data-ft-table-row')];
+
+          this.#selectRow(row, event.target.checked, event.shiftKey);
+        }
+      });
+
+      table.addEventListener('change', (event) => {
+        if (event.target.classList.contains('ft-table-select-all')) {
+          this.selectRows(this.shownRows, event.target.checked);
+        }
+      });
+
+      // The arrows move through the rows' checkboxes and, with Shift, select the rows on the way.
+      table.addEventListener('keydown', (event) => {
+        if (
+          event.target.classList.contains('ft-table-select-row') &&
+          (event.key === 'ArrowDown' || event.key === 'ArrowUp')
+        ) {
+          event.preventDefault();
+
+          const rowElement = event.target.closest('.ft-table-row');
+          const sibling = event.key === 'ArrowDown' ? rowElement.nextElementSibling : rowElement.previousElementSibling;
+
+          if (sibling && sibling.classList.contains('ft-table-row')) {
+            sibling.querySelector('.ft-table-select-row').focus();
+
+            if (event.shiftKey) {
+              this.#selectRow(this.shownRows[sibling.getAttribute('data-ft-table-row')], true, true);
+            }
+          }
+        }
+      });
+    }
+
+    // EDITING ---
+    if (this.columns.editorMap.size > 0) {
+      table.addEventListener('dblclick', (event) => {
+        const cell = event.target.closest('.ft-table-editable');
+
+        if (cell && !event.target.closest('.ft-table-editor')) {
+          this.#openEditor(cell);
+        }
+      });
+    }
+
     // SORTING ---
     const sortingButtons = table.querySelectorAll('.in-table-sorting');
 
-    let buttonGroups = [];
-
     Array.from(sortingButtons).forEach((button, index) => {
-      let column = button.getAttribute('data-ft-column');
+      button.addEventListener('click', (event) => {
+        const targetColumn = event.currentTarget.getAttribute('data-ft-column');
+        const order = event.currentTarget.getAttribute('data-ft-sorting');
 
-      if (buttonGroups.length == 0 || !button.buttonGroups.includes(column)) {
-        utilities.setToggleButtonsRadioAction('sorting-btn-' + column);
-      }
+        // Clicking on the active toggle removes the column from the sorting keys.
+        const newOrder = this.data.variables.maps.sorting.get(targetColumn) === order ? 'none' : order;
 
-      button.addEventListener('click', (event) => {
-        let targetColumn = event.currentTarget.getAttribute('data-ft-column');
+        // Shift+Click adds the column as a further sorting key, instead of replacing the existing ones. The table is
+        // refreshed by the resulting change event.
+        this.data.setSortingOrder(targetColumn, newOrder, event.shiftKey);
+      });
+    });
+  }
 
-        if (!event.currentTarget.classList.contains('active')) {
-          // Add the sorting (if any) in the global variable "this.data.variables.maps.sorting".
-          this.data.variables.maps.sorting.set(targetColumn, 'none');
+  /**
+   * Create a container with the buttons required to perform additional actions, such as reset and export.
+   */
+  #createTableControls() {
+    // Search box (created once, as its query is kept when the table is rebuilt)
+    if (this.search && !this.controls.search) {
+      const searchBox = `<input type="search" class="in-table-global-search form-control form-control-sm mx-1" 
+                          id="${this.id}-search" placeholder="Search" aria-label="Search the table">`;
+
+      const searchBoxContainer = document.createElement('div');
+      searchBoxContainer.innerHTML = searchBox;
+
+      this.controls.search = searchBoxContainer.querySelector('input');
+      this.controls.search.addEventListener('input', (event) => {
+        // The table is refreshed by the resulting change event.
+        this.data.setSearch(event.target.value);
+      });
+    }
 
-          this.refreshTable();
+    // Selection toolbar (created once, as the selection is kept when the table is rebuilt)
+    if (this.selectable && !this.controls.selection) {
+      const actionButtons = this.bulkActions.map((bulkAction, index) => {
+        if (bulkAction === 'export') {
+          return this.export === 'disabled'
+            ? ''
+            : `<button type="button" class="btn btn-outline-secondary btn-sm mx-1" data-ft-bulk-action="${index}">
+                <i class="bi bi-download" role="img" aria-hidden="true"></i>
+                Export CSV
+              </button>`;
+        } else if (bulkAction === 'delete') {
+          return `<button type="button" class="btn btn-outline-danger btn-sm mx-1" data-ft-bulk-action="${index}">
+                    <i class="bi bi-trash" role="img" aria-hidden="true"></i>
+                    Delete
+                  </button>`;
+        }
+
+        return `<button type="button" class="btn btn-outline-secondary btn-sm mx-1" data-ft-bulk-action="${index}">
+                  ${bulkAction.icon ? `<i class="${bulkAction.icon}" role="img" aria-hidden="true"></i>` : ''}
+                  ${bulkAction.label ? bulkAction.label : 'Action'}
+                </button>`;
+      });
+
+      const selectionToolbar = `<div class="ft-table-bulk-actions mx-1" id="${this.id}-bulk-actions" 
+                                  style="display:inline-flex;align-items:center;" hidden>
+                                  <span class="ft-table-selection-count badge bg-primary mx-1"></span>
+                                  ${actionButtons.join('')}
+                                  <button type="button" class="btn btn-outline-secondary btn-sm mx-1" 
+                                    data-ft-bulk-action="clear" title="Clear the selection">
+                                      <i class="bi bi-x-lg" role="img" aria-hidden="true"></i>
+                                  </button>
+                                </div>`;
+
+      const selectionToolbarContainer = document.createElement('div');
+      selectionToolbarContainer.innerHTML = selectionToolbar;
+
+      this.controls.selection = selectionToolbarContainer.querySelector('div');
+      this.controls.selection.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-ft-bulk-action]');
+
+        if (!button) {
+          return;
+        }
+
+        const bulkAction =
+          button.getAttribute('data-ft-bulk-action') === 'clear'
+            ? 'clear'
+            : this.bulkActions[button.getAttribute('data-ft-bulk-action')];
+
+        if (bulkAction === 'clear') {
+          this.clearSelection();
+        } else if (bulkAction === 'export') {
+          this.#exportData(this.getSelectedRecords(false));
+        } else if (bulkAction === 'delete') {
+          if (confirm('Delete ' + this.selectedRows.size + ' selected rows?')) {
+            this.removeSelectedRows();
+          }
         } else {
-          let order = event.currentTarget.getAttribute('data-ft-sorting');
+          bulkAction.action(this.getSelectedRecords(), this);
+        }
 
-          // Add the sorting (if any) in the global variable "this.data.variables.maps.sorting".
-          this.data.variables.maps.sorting.set(targetColumn, order);
+        // Make sure only the current object is reached.
+        event.stopPropagation();
+      });
+    }
 
-          this.refreshTable();
+    // Column chooser and reset layout button (created once, as the layout is kept when the table is rebuilt)
+    if (this.columnManagement && !this.controls.columns) {
+      const columnChooser = `<div class="ft-table-column-chooser d-inline-block mx-1" style="position:relative;">
+                              <button type="button" class="btn btn-outline-secondary btn-sm" aria-expanded="false">
+                                <i class="bi bi-layout-three-columns" role="img" aria-hidden="true"></i>
+                                Columns
+                              </button>
+                              <div class="ft-table-column-menu border rounded bg-white shadow-sm text-start p-2" 
+                                style="position:absolute;right:0;z-index:1000;min-width:12rem;" hidden></div>
+                            </div>`;
+
+      const columnChooserContainer = document.createElement('div');
+      columnChooserContainer.innerHTML = columnChooser;
+
+      this.controls.columns = columnChooserContainer.querySelector('div');
+
+      const menuButton = this.controls.columns.querySelector('button');
+      const menu = this.controls.columns.querySelector('.ft-table-column-menu');
+
+      menuButton.addEventListener('click', (event) => {
+        // The menu lists the columns with a label, in the order they are shown.
+        if (menu.hidden) {
+          menu.innerHTML = this.columns.order
+            .filter((columnUID) => this.columns.labelMap.get(columnUID))
+            .map(
+              (columnUID) => `<div class="form-check text-nowrap">
+                                <input class="form-check-input" type="checkbox" data-ft-column="${columnUID}" 
+                                  id="${this.id}-column-${columnUID}" 
+                                  ${this.columns.visibilityMap.get(columnUID) ? 'checked' : ''}>
+                                <label class="form-check-label" for="${this.id}-column-${columnUID}">
+                                  ${this.columns.labelMap.get(columnUID)}
+                                </label>
+                              </div>`
+            )
+            .join('');
         }
+
+        menu.hidden = !menu.hidden;
+        menuButton.setAttribute('aria-expanded', !menu.hidden);
+
+        // Make sure only the current object is reached.
+        event.stopPropagation();
       });
-    });
-  }
 
-  /**
-   * Create a container with the buttons required to perform additional actions, such as reset and export.
-   */
-  #createTableControls() {
+      menu.addEventListener('change', (event) => {
+        this.setColumnVisibility(event.target.getAttribute('data-ft-column'), event.target.checked);
+      });
+
+      // The menu is closed by clicking anywhere else.
+      this.controls.closeColumnMenu = (event) => {
+        if (!menu.hidden && !this.controls.columns.contains(event.target)) {
+          menu.hidden = true;
+          menuButton.setAttribute('aria-expanded', false);
+        }
+      };
+
+      document.addEventListener('click', this.controls.closeColumnMenu);
+
+      const resetLayoutButton = `<button type="button" class="btn btn-outline-secondary btn-sm mx-1" 
+                                  id="${this.id}-reset-layout">
+                                    <i class="bi bi-arrow-counterclockwise" role="img" aria-hidden="true"></i>
+                                    Reset Layout
+                                  </button>`;
+
+      const resetLayoutButtonContainer = document.createElement('div');
+      resetLayoutButtonContainer.innerHTML = resetLayoutButton;
+
+      this.controls.resetLayout = resetLayoutButtonContainer.querySelector('button');
+      this.controls.resetLayout.addEventListener('click', (event) => {
+        this.resetLayout();
+        // Make sure only the current object is reached.
+        event.stopPropagation();
+      });
+    }
+
     // Reset button
     const resetButton = `<button type="button" class="btn btn-outline-secondary btn-sm mx-1" 
                           id="${this.id} + '-reset">
@@ -591,28 +2044,21 @@ export class Table {
 
     tableBody.style.minWidth = tableHead.scrollWidth + 'px';
 
+    const tableFoot = document.querySelector('#' + this.id + '-foot');
+
+    if (tableFoot) {
+      tableFoot.style.minWidth = tableHead.scrollWidth + 'px';
+    }
+
     // 1) Enable vertical scroll immediately.
     enableVerticalScroll();
 
-    // 2) Enable vertical scroll on resize.
-    window.addEventListener('resize', (event) => {
-      enableVerticalScroll();
-    });
+    // 2) Enable vertical scroll on resize, and 3) when the content of the table is changed.
+    this.#observeLayout('viewport', enableVerticalScroll);
 
     function enableVerticalScroll() {
       table.style.height = window.innerHeight - tableContainer.offsetTop - 20 + 'px';
     }
-
-    // 3) Enable vertical scroll when the content of the table is changed.
-    const targetNode = document.querySelector('#' + this.id);
-    const config = { attributes: true, childList: true, subtree: true };
-
-    const callback = function (mutationsList, observer) {
-      enableVerticalScroll();
-    };
-
-    const observer = new MutationObserver(callback);
-    observer.observe(targetNode, config);
   }
 
   /**
@@ -626,6 +2072,7 @@ export class Table {
     const setStickyHeader = () => {
       const tableHead = document.querySelector('#' + this.id + '-head');
       const tableBody = document.querySelector('#' + this.id + '-body');
+      const tableFoot = document.querySelector('#' + this.id + '-foot');
 
       // 1) Horizontal scroll
 
@@ -664,7 +2111,9 @@ export class Table {
 
       outerBody.style.display = 'block';
       outerBody.style.overflow = 'auto'; // scroll
-      outerBody.style.height = window.innerHeight - outerBody.offsetTop - 20 + 'px';
+      // The footer, if any, is kept below the body.
+      outerBody.style.height =
+        window.innerHeight - outerBody.offsetTop - (tableFoot ? tableFoot.offsetHeight : 0) - 20 + 'px';
       outerBody.style.minHeight = tableBody.querySelector('.ft-table-row')
         ? tableBody.querySelector('.ft-table-row').scrollHeight + 'px'
         : '0px';
@@ -683,29 +2132,31 @@ export class Table {
       tableBody.style.width = outerBody.clientWidth + 'px';
       tableBody.style.minWidth = tableHead.scrollWidth - (outerBody.offsetWidth - outerBody.clientWidth) + 'px';
 
-      // Syncronise the horizontal scroll of the table head and the table body.
+      // Table Foot
+      const outerFoot = tableFoot ? createTableOuterContainer('ft-table-outer-foot', tableFoot) : null;
+
+      if (outerFoot) {
+        outerFoot.style.display = 'block';
+        outerFoot.style.overflow = 'hidden';
+        outerFoot.style.width = outerHead.clientWidth + 'px';
+
+        tableFoot.style.minWidth = tableHead.scrollWidth + 'px';
+      }
+
+      // Syncronise the horizontal scroll of the table head (and foot) and the table body.
       outerBody.addEventListener('scroll', (event) => {
         outerHead.scrollTo(outerBody.scrollLeft, outerBody.scrollTop);
+
+        if (outerFoot) {
+          outerFoot.scrollTo(outerBody.scrollLeft, 0);
+        }
       });
     };
 
     setStickyHeader();
 
-    // 2) Enable the sticky header the page is resized.
-    window.addEventListener('resize', (event) => {
-      setStickyHeader();
-    });
-
-    // 3) Enable the sticky header when the content of the table is changed.
-    const targetNode = document.querySelector('#' + this.id);
-    const config = { attributes: true, childList: true, subtree: true };
-
-    const callback = function (mutationsList, observer) {
-      setStickyHeader();
-    };
-
-    const observer = new MutationObserver(callback);
-    observer.observe(targetNode, config);
+    // 2) Enable the sticky header the page is resized, and 3) when the content of the table is changed.
+    this.#observeLayout('sticky', setStickyHeader);
   }
 
   /**
@@ -724,6 +2175,12 @@ export class Table {
     const tableHead = document.querySelector('#' + this.id + '-head');
 
     tableBody.style.minWidth = tableHead.scrollWidth + 'px';
+
+    const tableFoot = document.querySelector('#' + this.id + '-foot');
+
+    if (tableFoot) {
+      tableFoot.style.minWidth = tableHead.scrollWidth + 'px';
+    }
   }
 
   /**
@@ -740,6 +2197,11 @@ export class Table {
       // Standard mode
       this.#enableStandardMode();
     }
+
+    // The rows are rendered as the table, or the page, is scrolled.
+    if (this.virtualScrolling) {
+      this.#enableVirtualScrolling();
+    }
   }
 
   /**
@@ -886,32 +2348,41 @@ export class Table {
 
   /**
    * Export data in CSV (comma separated value) format.
+   *
+   * @param {[[string]]} records Default: the filtered rows. The rows to be exported, e.g. the selected ones.
    */
-  #exportData() {
-    // Add the header to the exported csv
+  #exportData(records = null) {
+    // Only the visible columns are exported, in the order they are shown.
+    const visibleColumns = this.#getVisibleColumns();
 
-    const visibleColumnsLabels = [];
-
-    this.columns.visibilityMap.forEach((visible, columnUID) => {
-      if (visible) {
-        visibleColumnsLabels.push(this.columns.labelMap.get(columnUID));
-      }
-    });
+    // If export is set to 'safe', remove the HTML tags from the data.
+    const sanitize = (value) =>
+      this.export === 'safe' && typeof value === 'string' ? value.replace(/<\/?[^>]+(>|$)/g, ' ') : value;
 
-    let headers = visibleColumnsLabels.join(',') + '\n';
+    // Add the header to the exported csv
+    const headers = visibleColumns.map((columnUID) => sanitize(this.columns.labelMap.get(columnUID)));
 
-    // Add the rows to the exported csv
+    // Add the rows to the exported csv (by default, the filtered ones). Missing values are exported as empty fields.
     let exportingData = this.data.temporaryDataSet.length > 0 ? this.data.temporaryDataSet : this.data.dataSet;
 
-    let body = exportingData.map((elements) => elements.join(',')).join('\n');
+    if (records) {
+      exportingData = records;
+    }
+
+    const rows = exportingData.map((record) =>
+      visibleColumns.map((columnUID) => sanitize(record[this.data.variables.maps.index.get(columnUID)]))
+    );
 
-    // If export is set to 'safe', remove the HTML tags from the data.
-    headers = this.export === 'safe' ? headers.replace(/<\/?[^>]+(>|$)/g, ' ') : headers;
-    body = this.export === 'safe' ? body.replace(/<\/?[^>]+(>|$)/g, ' ') : body;
+    // Optionally, add the footer calculated on the exported rows. The columns without a footer are left empty.
+    if (this.exportFooter && this.columns.footerMap.size > 0) {
+      const footerValues = this.#getFooterValues(exportingData);
 
-    let csvContent = 'data:text/csv;charset=utf-8,' + headers + body;
+      rows.push(visibleColumns.map((columnUID) => sanitize(footerValues.get(columnUID))));
+    }
+
+    const csv = parsing_utilities.stringifyDelimitedText([headers].concat(rows));
 
-    let encodedUri = encodeURI(csvContent);
+    let encodedUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
 
     // Name the csv. Format: exported_table_ + UNIX Date + .csv
     let fileName = 'exported_table_' + Date.now() + '.csv';
@@ -923,7 +2394,7 @@ export class Table {
     temporaryLink.setAttribute('download', fileName);
 
     temporaryLink.click();
-    
+
     temporaryLink.remove();
   }
 
@@ -932,41 +2403,110 @@ export class Table {
   /**
    * Build the table and populate it with the data provided.
    *
-   * @param {object} data The key-value-based object representing the records to be included in the table.
+   * @param {object} data The key-value-based object representing the records to be included in the table. A
+   * DataCollection (e.g. the result of an aggregation) can be used as well: its source fields must match the columns'.
    */
   createTable(data) {
+    if (data instanceof DataCollection) {
+      data = data.getRawRecords();
+    }
+
+    this.building = true;
+
+    // The highlighted changes, the edits, the selection and the duplicates under review refer to the previous records.
+    this.changes.clear();
+    this.edits.clear();
+    this.selectedRows.clear();
+    this.duplicates = null;
+
     // Build the data collection in order to process them in the table.
     this.data.buildDataCollection(data);
 
+    // The search box searches the visible columns.
+    if (this.search) {
+      this.data.createSearchIndex(this.#getVisibleColumns());
+    }
+
     // Create the HTML representation of the table.
-    this.#createTableStructure(this.data.dataSet);
+    this.#createTableStructure();
 
     // Add the table-related event listeners.
     this.#addTableEventListeners();
 
     // Enable the defined display mode for the table.
     this.#setDisplayMode();
+
+    this.building = false;
+  }
+
+  /**
+   * Remove the table from the DOM, along with the listeners it added to the window and the document, and stop following
+   * the changes of its data collection (e.g. before replacing the table with a new one).
+   */
+  removeTable() {
+    this.data.unsubscribe(this.data.eventTypes, this.dataObserver);
+
+    this.data.terminateWorker();
+
+    this.layoutObservers.forEach((layoutObserver) => {
+      window.removeEventListener('resize', layoutObserver.listener);
+      layoutObserver.observer.disconnect();
+    });
+
+    this.layoutObservers.clear();
+
+    if (this.virtualScrolling && this.virtualScrolling.windowListener) {
+      window.removeEventListener('scroll', this.virtualScrolling.windowListener);
+      window.removeEventListener('resize', this.virtualScrolling.windowListener);
+
+      this.virtualScrolling.windowListener = null;
+      this.virtualScrolling.container = null;
+    }
+
+    if (this.controls.closeColumnMenu) {
+      document.removeEventListener('click', this.controls.closeColumnMenu);
+    }
+
+    // The refreshes still being processed (see refreshTable) are ignored.
+    this.refreshRequests += 1;
+
+    const pointOfEntry = document.querySelector('#' + this.pointOfEntry);
+
+    if (pointOfEntry) {
+      pointOfEntry.innerHTML = '';
+    }
   }
 
   /**
    * Reset the table without losing the loaded data, but cleaning filtering, sorting and temporary data.
    */
   resetTable() {
+    this.building = true;
+
     // Clear the temporary rows.
     this.data.temporaryDataSet = [];
 
-    // Clear data filtering and data sorting.
+    // Clear data filtering (including the full-text search) and data sorting.
+    this.data.searchQuery = '';
+
+    if (this.controls.search) {
+      this.controls.search.value = '';
+    }
+
     this.data.variables.maps.filtering.clear();
     this.data.variables.maps.sorting.clear();
+    this.data.variables.maps.sortingPriority.clear();
 
     // Recreate the table.
-    this.#createTableStructure(this.data.dataSet);
+    this.#createTableStructure();
 
     // Re-include the event listeners.
     this.#addTableEventListeners();
 
     // Enable the defined display mode for the table.
     this.#setDisplayMode();
+
+    this.building = false;
   }
 
   /**
@@ -975,32 +2515,438 @@ export class Table {
    * @param {object} data The data to be added into the table.
    */
   refreshTable() {
-    // Refresh only the visible rows.
-    let refreshedData = [];
+    this.refreshRequests += 1;
+
+    // Sort and filter the data, and update the temporary data set with the refreshed values. With a Web Worker, the
+    // rows are processed in the background and the body is updated when they are ready, unless a newer refresh has
+    // been requested in the meantime.
+    if (this.data.worker.source) {
+      const refreshRequest = this.refreshRequests;
+
+      this.data
+        .processRecordsAsync()
+        .then((refreshedData) => {
+          if (refreshRequest === this.refreshRequests && document.querySelector('#' + this.id + '-body')) {
+            this.#updateBody(refreshedData);
+          }
+        })
+        .catch((error) => {
+          alert(error);
+        });
+    } else {
+      this.#updateBody(this.data.processRecords());
+    }
+  }
 
-    refreshedData = this.data.dataSet;
+  /**
+   * Merge a fresh set of records into the table's data (see DataCollection's diffRecords), and highlight the rows
+   * added and the cells modified.
+   *
+   * @param {object} data The key-value-based object representing the fresh records.
+   * @param {string} columnUID Default: the primary key. The UID of the column used to match the records.
+   * @returns The differences between the previous and the fresh records.
+   */
+  mergeRecords(data, columnUID) {
+    const diff = this.data.diffRecords(data, columnUID ? columnUID : this.data.variables.primaryKey);
 
-    // Sort data
-    refreshedData = this.data.sortRecords(refreshedData);
+    // The changes are highlighted before being applied, so that the resulting refresh shows them.
+    this.highlightChanges(diff, false);
 
-    // Filter data
-    refreshedData = this.data.filterRecords(refreshedData);
+    this.data.applyDiff(diff);
 
-    // Update select filters, if they exist.
-    this.#updateSelectFilterOptions(refreshedData);
+    return diff;
+  }
 
-    const tableBody = document.querySelector('#' + this.id + '-body');
+  /**
+   * Highlight the rows added and the cells modified, until the highlighting is cleared or the table is re-created.
+   *
+   * @param {Object} diff The object returned by DataCollection's diffRecords.
+   * @param {boolean} refresh Default: true. Refresh the table to show the highlighting.
+   */
+  highlightChanges(diff, refresh = true) {
+    this.changes.clear();
 
-    tableBody.innerHTML = this.#createRows(refreshedData);
+    for (const addition of diff.added) {
+      this.changes.set(addition.record, { type: 'added', variableUIDs: new Set() });
+    }
 
-    // If present, apply conditional formatting
-    this.#applyConditionalFormatting();
+    for (const modification of diff.modified) {
+      this.changes.set(modification.record, {
+        type: 'modified',
+        variableUIDs: new Set(modification.changes.map((change) => change.variableUID)),
+      });
+    }
 
-    // If present, run the custom post processing functions to manipulate the DOM elements of the body.
-    this.#runCustomPostProcessing();
+    if (refresh && document.querySelector('#' + this.id + '-body')) {
+      this.refreshTable();
+    }
+  }
+
+  /**
+   * Remove the highlighting of the changes.
+   */
+  clearChangeHighlighting() {
+    this.changes.clear();
+
+    if (document.querySelector('#' + this.id + '-body')) {
+      this.refreshTable();
+    }
+  }
+
+  /**
+   * Return the selected rows, in the order of the data set.
+   *
+   * @param {boolean} raw Default: true. Return the records as key-value-based objects (see DataCollection's
+   * getRawRecords), e.g. to pass their fields to DataTemplate's generateDocument, or as the rows of the table.
+   * @returns The selected records.
+   */
+  getSelectedRecords(raw = true) {
+    const records = this.data.dataSet.filter((record) => this.selectedRows.has(record));
+
+    return raw ? this.data.getRawRecords('initial', records) : records;
+  }
+
+  /**
+   * Select (or deselect) a set of rows.
+   *
+   * @param {[[string]]} rows The rows to be selected, i.e. records of the table's data collection.
+   * @param {boolean} selected Default: true. Select (true) or deselect (false) the rows.
+   */
+  selectRows(rows, selected = true) {
+    const dataSetRecords = new Set(this.data.dataSet);
+
+    for (const row of rows) {
+      if (!selected) {
+        this.selectedRows.delete(row);
+      } else if (dataSetRecords.has(row)) {
+        this.selectedRows.add(row);
+      }
+    }
+
+    this.#updateSelection();
+  }
+
+  /**
+   * Deselect all the rows.
+   */
+  clearSelection() {
+    this.selectedRows.clear();
+    this.selectionAnchor = null;
+
+    this.#updateSelection();
+  }
+
+  /**
+   * Remove the selected rows from the table's data (see DataCollection's removeRecords). The removal can be undone.
+   *
+   * @returns The removed rows.
+   */
+  removeSelectedRows() {
+    // The table is refreshed, and the selection updated, by the resulting change event.
+    return this.data.removeRecords(Array.from(this.selectedRows));
+  }
+
+  /**
+   * Edit the value of a cell (see DataCollection's editDataPoints), and mark it as edited. If saveEdits is set, the row
+   * is saved and, if the request fails, the edit is rolled back.
+   *
+   * @param {[string]} row The row to be edited, i.e. a record of the table's data collection.
+   * @param {string} columnUID The UID of the column to be edited. It must be editable.
+   * @param {*} value The new value, e.g. 'DD/MM/YYYY' for EU dates, true or false for tick cells.
+   * @returns A promise resolved with true if the row is saved, false if it isn't (e.g. saveEdits isn't set).
+   */
+  editCell(row, columnUID, value) {
+    const recordIndex = this.data.dataSet.indexOf(row);
+
+    if (recordIndex === -1) {
+      throw 'Table Error: the row to be edited is NOT in the table.';
+    }
+
+    if (!this.columns.editorMap.has(columnUID)) {
+      throw `Table Error: column "${columnUID}" is NOT editable.`;
+    }
+
+    const variableIndex = this.data.variables.maps.index.get(columnUID);
+    const previousValue = row[variableIndex];
+
+    // Whatever the validation of the table, the value must match the type and the constraints of the column (see Data
+    // Collection's validateRecords).
+    let rawValues = {};
+
+    rawValues[this.data.variables.maps.uids.get(columnUID)] = value;
+
+    const problem = this.data.validateRecords([rawValues]).problems.find((problem) => {
+      return problem.variableUID === columnUID;
+    });
+
+    if (problem) {
+      throw 'Table Error: ' + problem.problem;
+    }
+
+    // The row is saved under its key before the edit, in case the key itself is edited.
+    const key = this.data.variables.primaryKey
+      ? row[this.data.variables.maps.index.get(this.data.variables.primaryKey)]
+      : null;
+
+    // The cell is marked before the edit, so that the resulting refresh shows it, and unmarked if the edit fails.
+    const marked = this.edits.has(row) && this.edits.get(row).has(columnUID);
+
+    if (!this.edits.has(row)) {
+      this.edits.set(row, new Set());
+    }
+
+    this.edits.get(row).add(columnUID);
+
+    try {
+      this.data.editDataPoints(recordIndex, columnUID, value);
+    } catch (error) {
+      if (!marked) {
+        this.#unmarkEdit(row, columnUID);
+      }
+
+      throw error;
+    }
+
+    if (!this.saveEdits) {
+      return Promise.resolve(false);
+    }
+
+    const editedValue = row[variableIndex];
+
+    return utilities
+      .sendRESTfulRequest(
+        this.saveEdits.url + encodeURIComponent(key) + '/',
+        'PUT',
+        JSON.stringify(this.data.getRawRecords('initial', [row])[0]),
+        this.saveEdits.csrfToken
+      )
+      .then(() => {
+        // The saved cell is no longer marked as edited.
+        this.#unmarkEdit(row, columnUID);
+
+        if (document.querySelector('#' + this.id + '-body')) {
+          this.refreshTable();
+        }
+
+        return true;
+      })
+      .catch((error) => {
+        this.#unmarkEdit(row, columnUID);
+
+        // Roll back the edit, unless the cell has been edited again (or the row removed) in the meantime.
+        if (row[variableIndex] === editedValue && this.data.dataSet.includes(row)) {
+          this.data.editDataPoints(this.data.dataSet.indexOf(row), columnUID, previousValue);
+        } else if (document.querySelector('#' + this.id + '-body')) {
+          this.refreshTable();
+        }
+
+        alert('Error: the row could NOT be saved, the edit has been rolled back.\n\n' + error);
+
+        return false;
+      });
+  }
+
+  /**
+   * Remove the marks of the edited cells, e.g. once the edits have been saved otherwise.
+   */
+  clearEdits() {
+    this.edits.clear();
+
+    if (document.querySelector('#' + this.id + '-body')) {
+      this.refreshTable();
+    }
+  }
+
+  /**
+   * Show only the candidate duplicates (see DataCollection's findDuplicates), grouped by cluster so that they can be
+   * reviewed, e.g. before removing them with DataCollection's removeDuplicates. Sorting and filtering still apply,
+   * within each cluster. The clusters aren't updated when the rows change, until the duplicates are searched again.
+   *
+   * @param {[string]} columnUIDs Default: []. The UIDs of the columns whose values must be the same.
+   * @param {[string]} fuzzyColumnUIDs Default: []. The UIDs of the columns whose values must be similar.
+   * @param {number} maxDistance Default: 1. The maximum edit distance between similar values.
+   * @returns The clusters of duplicates (arrays of rows).
+   */
+  showDuplicates(columnUIDs = [], fuzzyColumnUIDs = [], maxDistance = 1) {
+    const clusters = this.data.findDuplicates(columnUIDs, fuzzyColumnUIDs, maxDistance);
+
+    this.duplicates = new Map();
+
+    clusters.forEach((cluster, index) => {
+      for (const row of cluster) {
+        this.duplicates.set(row, index);
+      }
+    });
+
+    if (document.querySelector('#' + this.id + '-body')) {
+      this.refreshTable();
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Stop reviewing the duplicates, and show all the rows again.
+   */
+  clearDuplicates() {
+    this.duplicates = null;
+
+    if (document.querySelector('#' + this.id + '-body')) {
+      this.refreshTable();
+    }
+  }
+
+  /**
+   * Return the layout of the columns, as saved in localStorage when the users change it.
+   *
+   * @returns An object with the source fields of the columns in the order they are shown ('order'), those of the
+   * hidden columns ('hidden'), and the widths set by the users in pixels ('widths', by source field).
+   */
+  getLayout() {
+    const sourceField = (columnUID) => this.columns.list[columnUID].sourceField;
+
+    let widths = {};
+
+    this.columns.widthMap.forEach((width, columnUID) => {
+      widths[sourceField(columnUID)] = width;
+    });
+
+    return {
+      order: this.columns.order.map(sourceField),
+      hidden: this.columns.order.filter((columnUID) => !this.columns.visibilityMap.get(columnUID)).map(sourceField),
+      widths: widths,
+    };
+  }
+
+  /**
+   * Move a column to another position. The layout is saved if columnManagement is enabled.
+   *
+   * @param {string} columnUID The UID of the column to be moved.
+   * @param {number} position The new position of the column among all the columns (hidden ones included), from 0.
+   */
+  moveColumn(columnUID, position) {
+    this.#checkColumn(columnUID);
+
+    const order = this.columns.order.filter((otherColumnUID) => otherColumnUID !== columnUID);
+
+    order.splice(Math.min(Math.max(position, 0), order.length), 0, columnUID);
+
+    this.columns.order = order;
+
+    this.#updateLayout(this.columnManagement);
+  }
+
+  /**
+   * Show or hide a column. The layout is saved if columnManagement is enabled.
+   *
+   * @param {string} columnUID The UID of the column.
+   * @param {boolean} visible Show (true) or hide (false) the column.
+   */
+  setColumnVisibility(columnUID, visible) {
+    this.#checkColumn(columnUID);
+
+    this.columns.visibilityMap.set(columnUID, visible ? true : false);
+
+    this.#updateLayout(this.columnManagement);
+  }
+
+  /**
+   * Set the width of a column. The layout is saved if columnManagement is enabled.
+   *
+   * @param {string} columnUID The UID of the column.
+   * @param {number} width The width in pixels, or null to fit the column to the table again.
+   */
+  setColumnWidth(columnUID, width) {
+    this.#checkColumn(columnUID);
+
+    if (width > 0) {
+      this.columns.widthMap.set(columnUID, Math.round(width));
+    } else {
+      this.columns.widthMap.delete(columnUID);
+    }
+
+    this.#updateLayout(this.columnManagement);
+  }
 
-    // Update the temporary row with the refreshed values.
-    this.data.temporaryDataSet = refreshedData;
+  /**
+   * Restore the order, the visibility and the widths of the columns as declared, and remove the saved layout.
+   */
+  resetLayout() {
+    this.columns.order = this.columns.list.map((column) => column.uid);
+
+    this.columns.list.forEach((column) => {
+      this.columns.visibilityMap.set(column.uid, column.visible === false ? false : true);
+    });
+
+    this.columns.widthMap.clear();
+
+    storage_utilities.removeStoredItem(this.layoutKey).catch((error) => {
+      alert(error);
+    });
+
+    this.#updateLayout(false);
+  }
+
+  /**
+   * Load the records of a file (CSV, TSV, JSON Lines or JSON) into the table. The header of CSV/TSV files can contain
+   * either the source fields or the labels of the columns. The rows that cannot be imported are reported in an alert.
+   * When merging, only the columns in the file are updated, e.g. a file exported with hidden columns can be imported.
+   *
+   * @param {File} file The file to be imported, e.g. dropped onto the table.
+   * @param {boolean} replace Default: true if fileImport is 'replace'. Replace the records instead of merging them.
+   * @returns A promise resolved with the import report (see DataCollection's importData), or null if the format of the
+   * file is not supported.
+   */
+  importFile(file, replace = this.fileImport === 'replace') {
+    const format = parsing_utilities.getFileFormat(file);
+
+    if (!format) {
+      alert('Error: the format of "' + file.name + '" is NOT supported.');
+
+      return Promise.resolve(null);
+    }
+
+    return file.text().then((text) => {
+      // The table is re-created once the records are replaced.
+      this.building = replace;
+
+      const report = this.data.importData(text, format, { replace: replace });
+
+      if (replace) {
+        this.resetTable();
+      }
+
+      this.building = false;
+
+      this.importReport = report;
+
+      if (report.failed.length > 0) {
+        const problems = report.failed
+          .slice(0, 10)
+          .map((failure) => (failure.line ? 'Line ' + failure.line + ': ' : '') + failure.problem);
+
+        alert(
+          `${file.name}: ${report.added} records added, ${report.updated} updated, ` +
+            `${report.failed.length} problems found.\n\n${problems.join('\n')}` +
+            (report.failed.length > problems.length ? '\n...' : '')
+        );
+      }
+
+      return report;
+    });
+  }
+
+  /**
+   * Describe the data of a column, e.g. to summarise the rows the user has filtered. See Data Collection's
+   * getStatistics().
+   *
+   * @param {string} columnUID The UID of the column to be described.
+   * @param {boolean} filtered Default: true. Describe the rows shown in the table (filtered) or all of them.
+   * @param {Object} options (Optional) The options of the statistics: 'percentiles', 'bins', 'interval'.
+   * @returns An object with the statistics of the column.
+   */
+  getColumnStatistics(columnUID, filtered = true, options = {}) {
+    return this.data.getStatistics(columnUID, filtered ? 'temporary' : 'initial', options);
   }
 
   /**